@@ -18,10 +18,31 @@
  * Ejemplo:
  * /compra 9000 12 rappicard Pantalla Samsung 85
  *
+ * También acepta texto libre en cualquier orden:
+ * /compra pantalla 9,000 a 12 msi con rappi
+ *
+ * Categoría y etiquetas opcionales (si falta la categoría se elige en el preview):
+ * /compra 9000 12 rappicard Pantalla categoria=electronica #sala
+ *
+ * Fecha opcional al final o con fecha= (default hoy; corte y recomendación
+ * se calculan a esa fecha):
+ * /compra 9000 12 rappicard Pantalla ayer
+ * /compra 9000 12 rappicard fecha=15/10 Pantalla
+ *
+ * Admin puede registrar a nombre de otro titular:
+ * /compra 9000 12 rappicard Pantalla titular=Ana
+ *
  * Reglas:
+ * - Solo usuarios/chats autorizados (ver USUARIOS, ROLES Y TITULARES)
  * - El banco se guarda automáticamente en MAYÚSCULAS
- * - La fecha se guarda como DD/MM/YYYY
+ * - El banco debe estar registrado (nombre, alias o parecido)
+ * - La fecha se guarda como DD/MM/YYYY, en la zona TIMEZONE
+ *   (default America/Mexico_City), no en la hora del servidor
  * - Cálculos (restante, pago x mes, fechas) se hacen en Sheets
+ *   (o en el bot con STORAGE=local, sin Google; ver ALMACENAMIENTO DEL LIBRO)
+ * - Cortes y límites por tarjeta: /tarjeta (registro persistente)
+ * - Hoja, pestaña, tarjetas y zona horaria por chat: /config (admin)
+ * - Cargos fijos (Netflix, gimnasio...): /recurrente (ver CARGOS RECURRENTES)
  *
  * ------------------------------------------------------------
  * FLUJO GENERAL
@@ -32,16 +53,17 @@
  *    ✅ Confirmar
  *    ❌ Cancelar
  * 4) Confirmar:
- *    - Si el banco es CAPITAL o PRESTAMO -> guarda directo
+ *    - Si el banco es tipo DIRECTO (CAPITAL, PRESTAMO) -> guarda directo
  *    - Si el banco tiene ciclo (corte + límite):
  *        a) Calcula "días para pagar" estimados si compras HOY con ese banco.
  *        b) Calcula las mejores tarjetas para HOY según "más días para pagar".
  *        c) Si hay una alternativa significativamente mejor -> 2da confirmación (OK Guardar)
  *        d) Si no -> guarda directo
  * 5) Solo al confirmar final se inserta la fila en Google Sheets
+ *    (vía outbox: si Sheets falla, la compra queda en cola y se reintenta)
  *
  * ------------------------------------------------------------
- * ORDEN DE COLUMNAS EN GOOGLE SHEETS (A:K)
+ * ORDEN DE COLUMNAS EN GOOGLE SHEETS (A:N, default de SHEET_COLUMNS)
  * ------------------------------------------------------------
  * A DESCRIPCION DE LA COMPRA
  * B TITULAR
@@ -54,6 +76,12 @@
  * I PAGO X MES      (fórmula en Sheet)
  * J F. INICIO       (fórmula en Sheet)
  * K F. FIN          (fórmula en Sheet)
+ * L ID              (id único de la compra; escritura idempotente)
+ * M CATEGORIA       (ver CATEGORÍAS Y ETIQUETAS)
+ * N ETIQUETAS       (#etiquetas separadas por espacio)
+ *
+ * En hojas que terminan en K, un admin agrega L:N con /columnas crear
+ * (ver MAPA DE COLUMNAS).
  * ============================================================
  */
 
@@ -62,6 +90,9 @@ const { Telegraf, Markup } = require("telegraf");
 const { google } = require("googleapis");
 const fs = require("fs");
 const path = require("path");
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { AsyncLocalStorage } = require("async_hooks");
 
 /* ============================================================
  * CONFIGURACIÓN Y VARIABLES DE ENTORNO
@@ -71,10 +102,10 @@ const path = require("path");
 // Token del bot de Telegram
 const BOT_TOKEN = process.env.BOT_TOKEN;
 
-// ID del Google Spreadsheet
+// ID del Google Spreadsheet (default para chats sin /config)
 const SPREADSHEET_ID = process.env.SPREADSHEET_ID;
 
-// Nombre de la pestaña (tab) donde se insertan las compras
+// Nombre de la pestaña (tab) donde se insertan las compras (default)
 const SHEET_NAME = process.env.SHEET_NAME || "LISTADOCOMPRAS";
 
 // Ruta al archivo de credenciales del Service Account
@@ -86,9 +117,24 @@ const GOOGLE_APPLICATION_CREDENTIALS =
     ? path.join(__dirname, "service-account.json")
     : "/tmp/service-account.json");
 
+// Dónde viven las compras: sheets | local | mirror (ver ALMACENAMIENTO DEL LIBRO)
+const STORAGE = (process.env.STORAGE || "sheets").toLowerCase();
+
+// Zona horaria IANA de todas las fechas: F. COMPRA, cortes, límites y avisos
+// (default para chats sin /config zona=...)
+const TIMEZONE = process.env.TIMEZONE || "America/Mexico_City";
+
+// Las fechas internas son "de pared" en TIMEZONE (ver nowInTimezone); el
+// proceso corre en UTC para que el horario de verano o la zona del
+// contenedor no muevan horas al construirlas o compararlas.
+process.env.TZ = "UTC";
+
 // Validaciones críticas al iniciar
 if (!BOT_TOKEN) throw new Error("Falta BOT_TOKEN");
-if (!SPREADSHEET_ID) throw new Error("Falta SPREADSHEET_ID");
+if (!isValidTimezone(TIMEZONE)) throw new Error(`TIMEZONE inválida: ${TIMEZONE}`);
+if (!SPREADSHEET_ID && STORAGE !== "local") {
+  console.warn("⚠️ Sin SPREADSHEET_ID: cada chat debe configurar su hoja con /config.");
+}
 
 // Logs informativos de arranque
 console.log("🚀 Starting Container");
@@ -96,9 +142,155 @@ console.log("🔎 SPREADSHEET_ID existe:", !!SPREADSHEET_ID);
 console.log("🔎 SHEET_NAME:", SHEET_NAME);
 console.log("🔎 BOT_TOKEN existe:", !!BOT_TOKEN);
 console.log("🔎 Credenciales:", GOOGLE_APPLICATION_CREDENTIALS);
+console.log("🔎 Zona horaria:", TIMEZONE);
+
+/* ============================================================
+ * PERSISTENCIA LOCAL (JSON)
+ * ============================================================
+ *
+ * Algunas configuraciones deben poder cambiarse desde Telegram sin
+ * redeploy (ej. el registro de tarjetas). Se guardan como JSON en DATA_DIR.
+ *
+ * - En desarrollo: ./data
+ * - En Railway: montar un volumen y apuntar DATA_DIR a él
+ *   (si no, /tmp o ./data se pierden en cada deploy)
+ */
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, "data");
+
+/**
+ * Lee un archivo JSON. Si no existe o está corrupto regresa `fallback`.
+ */
+function readJsonFile(filePath, fallback) {
+  try {
+    if (!fs.existsSync(filePath)) return fallback;
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (e) {
+    console.error(`❌ No se pudo leer ${filePath}:`, e.message);
+    return fallback;
+  }
+}
+
+/**
+ * Escribe un archivo JSON de forma atómica (tmp + rename) para no dejar
+ * archivos a medias si el proceso muere a mitad de la escritura.
+ */
+function writeJsonFile(filePath, data) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const tmp = `${filePath}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+  fs.renameSync(tmp, filePath);
+}
+
+/* ============================================================
+ * CONFIGURACIÓN POR CHAT (VARIAS HOJAS / HOGARES)
+ * ============================================================
+ *
+ * Una sola instancia del bot puede atender varios libros (ej. familia
+ * y negocio): cada chat puede tener su propia hoja, pestaña, registro
+ * de tarjetas y zona horaria. Se guarda en DATA_DIR/chats.json:
+ *
+ *   {
+ *     "<chatId>": {
+ *       "spreadsheetId": "...",
+ *       "sheetName": "COMPRAS",
+ *       "cards": "negocio",
+ *       "timezone": "America/Monterrey"
+ *     }
+ *   }
+ *
+ * Lo que un chat no defina cae a los valores de entorno
+ * (SPREADSHEET_ID, SHEET_NAME, tarjetas.json, TIMEZONE).
+ *
+ * Cada update corre dentro de withChat(ctx.chat.id) (AsyncLocalStorage),
+ * así las lecturas/escrituras a Sheets, getCardRegistry() y chatNow()
+ * usan la configuración del chat sin tener que pasarla a mano.
+ * Se administra con /config (solo admin).
+ */
+const CHAT_CONFIG_FILE =
+  process.env.CHAT_CONFIG_FILE || path.join(DATA_DIR, "chats.json");
+
+// Nombre del registro de tarjetas por omisión (CARD_REGISTRY_FILE)
+const DEFAULT_REGISTRY = "default";
+
+const chatConfigs = readJsonFile(CHAT_CONFIG_FILE, {});
+
+function saveChatConfigs() {
+  writeJsonFile(CHAT_CONFIG_FILE, chatConfigs);
+}
+
+const chatContext = new AsyncLocalStorage();
+
+/**
+ * Configuración efectiva de un chat (con defaults de entorno).
+ */
+function getChatSettings(chatId) {
+  const cfg = (chatId != null && chatConfigs[String(chatId)]) || {};
+  return {
+    chatId: chatId ?? null,
+    spreadsheetId: cfg.spreadsheetId || SPREADSHEET_ID,
+    sheetName: cfg.sheetName || SHEET_NAME,
+    cards: cfg.cards || DEFAULT_REGISTRY,
+    timezone: cfg.timezone || TIMEZONE,
+  };
+}
+
+/**
+ * Configuración del chat que se está atendiendo (o la default fuera
+ * de un update, ej. al arrancar).
+ */
+function currentSettings() {
+  return chatContext.getStore() || getChatSettings(null);
+}
+
+/**
+ * Ejecuta fn con la configuración de chatId como contexto.
+ */
+function withChat(chatId, fn) {
+  return chatContext.run(getChatSettings(chatId), fn);
+}
+
+function isValidTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("es-MX", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Fecha/hora "de pared" en timeZone como Date local: getFullYear(),
+ * getDate(), getHours()... regresan lo que marca el reloj en esa zona.
+ * Todas las fechas del bot (hoy, cortes, límites) se manejan así.
+ */
+function nowInTimezone(timeZone = TIMEZONE, date = new Date()) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, Number(p.value)])
+  );
+
+  return new Date(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+/**
+ * "Ahora" en la zona horaria del chat actual.
+ */
+function chatNow() {
+  return nowInTimezone(currentSettings().timezone);
+}
 
 /* ============================================================
- * CONFIG: CICLO DE TARJETAS (CORTE + FECHA LÍMITE)
+ * REGISTRO DE TARJETAS (CORTE + FECHA LÍMITE)
  * ============================================================
  *
  * Esta sección es el "cerebro" financiero del bot.
@@ -107,648 +299,5876 @@ console.log("🔎 Credenciales:", GOOGLE_APPLICATION_CREDENTIALS);
  * - Si compro HOY con X tarjeta, ¿cuántos días tengo para pagar?
  * - ¿Qué tarjeta me da más tiempo (financiamiento) para pagar?
  *
+ * Los datos viven en un registro persistente (tarjetas.json) que se
+ * edita con /tarjeta, así un cambio de corte no requiere redeploy.
+ *
  * Datos por tarjeta:
+ * - type:
+ *     "CREDITO" => tarjeta con ciclo (corte + límite), se analiza
+ *     "DIRECTO" => NO pasa por validación financiera (ej. CAPITAL, PRESTAMO)
  * - cutDay: día del mes en que cierra el estado de cuenta
  * - dueDay: día del mes en que vence el pago (fecha límite)
  * - dueOffset:
  *     0 => la fecha límite cae en el MISMO mes del corte
  *     1 => la fecha límite cae en el MES SIGUIENTE al corte
- *
- * Estos valores están basados en tu comportamiento real observado
- * (tabla del mes pasado).
+ * - cutShift / dueShift: qué hace el banco si la fecha cae en día inhábil
+ *     "NINGUNO"   => se queda igual
+ *     "SIGUIENTE" => se recorre al siguiente día hábil
+ *     "ANTERIOR"  => se adelanta al día hábil anterior
+ *   Por omisión el corte no se mueve y el límite pasa al siguiente día hábil.
+ * - holidays: días inhábiles propios del banco ("MM-DD" o "YYYY-MM-DD"),
+ *   además de los feriados bancarios oficiales.
+ * - aliases: otros nombres con los que se reconoce el banco en /compra
+ *   (ej. RAPPI => RAPPICARD).
+ * - last4: terminaciones de las tarjetas físicas/digitales de ese banco,
+ *   para reconocer avisos ("... terminación 1234").
+ * - creditLimit: línea de crédito (opcional). Con ella se calcula el
+ *   saldo usado/disponible a partir de las compras ACTIVAS.
+ * - msiTerms: plazos con meses sin intereses que ofrece (ej. [3, 6, 12])
+ * - cashbackPct: % de cashback/puntos por compra (ej. 1.5)
+ * - annualRate: tasa anual (%) si se difiere SIN MSI (null => DEFAULT_ANNUAL_RATE)
+ * - remainder: a qué mensualidad carga el banco los centavos que sobran al
+ *   dividir una compra a meses, "PRIMERA" o "ULTIMA" (null => INSTALLMENT_REMAINDER)
  *
  * Importante:
  * - Las llaves están en MAYÚSCULAS porque el bot normaliza el banco.
  */
-const CARD_CYCLE = {
-  BBVA:        { cutDay: 24, dueDay: 13, dueOffset: 1 },
-  RAPPICARD:   { cutDay: 6,  dueDay: 26, dueOffset: 0 },
-  HSBC:        { cutDay: 16, dueDay: 5,  dueOffset: 1 },
-  BANAMEX:     { cutDay: 6,  dueDay: 26, dueOffset: 0 },
-  NU:          { cutDay: 7,  dueDay: 19, dueOffset: 0 },
-  MERCADOPAGO: { cutDay: 13, dueDay: 23, dueOffset: 0 },
-};
+const CARD_REGISTRY_FILE =
+  process.env.CARD_REGISTRY_FILE || path.join(DATA_DIR, "tarjetas.json");
+
+const CARD_TYPES = new Set(["CREDITO", "DIRECTO"]);
+const DAY_SHIFTS = new Set(["NINGUNO", "SIGUIENTE", "ANTERIOR"]);
+const REMAINDER_POSITIONS = new Set(["PRIMERA", "ULTIMA"]);
+
+// Mensualidad que absorbe el residuo de centavos si la tarjeta no lo define
+const INSTALLMENT_REMAINDER = REMAINDER_POSITIONS.has(
+  String(process.env.INSTALLMENT_REMAINDER).toUpperCase()
+)
+  ? String(process.env.INSTALLMENT_REMAINDER).toUpperCase()
+  : "ULTIMA";
 
 /**
- * Bancos que NO pasan por validación financiera/corte.
- * Caso típico:
+ * Valores iniciales del registro (se usan solo si aún no existe el archivo).
+ * Basados en el comportamiento real observado (tabla del mes pasado).
+ *
+ * Tipo DIRECTO:
  * - CAPITAL (puede ser gasto directo / ciclo distinto / no interesa analizar)
  * - PRESTAMO (no es tarjeta de crédito con corte/límite tradicional)
- *
- * Para estos:
- * - Se muestra preview
- * - Al confirmar se guarda directo
  */
-const SKIP_CUT_VALIDATION = new Set(["CAPITAL", "PRESTAMO"]);
+const DEFAULT_CARDS = {
+  BBVA:        { type: "CREDITO", cutDay: 24, dueDay: 13, dueOffset: 1 },
+  RAPPICARD:   { type: "CREDITO", cutDay: 6,  dueDay: 26, dueOffset: 0 },
+  HSBC:        { type: "CREDITO", cutDay: 16, dueDay: 5,  dueOffset: 1 },
+  BANAMEX:     { type: "CREDITO", cutDay: 6,  dueDay: 26, dueOffset: 0 },
+  NU:          { type: "CREDITO", cutDay: 7,  dueDay: 19, dueOffset: 0 },
+  MERCADOPAGO: { type: "CREDITO", cutDay: 13, dueDay: 23, dueOffset: 0 },
+  CAPITAL:     { type: "DIRECTO" },
+  PRESTAMO:    { type: "DIRECTO" },
+};
 
 /**
- * Umbral mínimo para mostrar advertencia:
- * Si existe una tarjeta alternativa que te da >= X días extra para pagar,
- * el bot muestra una 2da confirmación recomendando esa(s) tarjeta(s).
- *
- * Ej:
- * - Elegiste BANAMEX (te da 10 días para pagar)
- * - BBVA te da 30 días para pagar
- * - Diferencia 20 >= 5 => advertimos con recomendación
+ * Valida (y normaliza) la configuración de una tarjeta.
+ * Regresa { card } si es válida o { error } con un mensaje para el usuario.
  */
-const IMPROVEMENT_THRESHOLD_DAYS = 5;
+function validateCard(card) {
+  const type = String(card.type || "CREDITO").toUpperCase();
+  if (!CARD_TYPES.has(type)) {
+    return { error: `Tipo inválido: ${card.type} (usa CREDITO o DIRECTO)` };
+  }
 
-/* ============================================================
- * HELPERS / FUNCIONES UTILITARIAS
- * ============================================================
- */
+  const aliases = parseListField(card.aliases).map((a) => a.toUpperCase());
+  const badAlias = aliases.find((a) => !/^[A-Z0-9_]+$/.test(a));
+  if (badAlias) return { error: `Alias inválido: ${badAlias}` };
+
+  const last4 = parseListField(card.last4);
+  const badLast4 = last4.find((x) => !/^\d{4}$/.test(x));
+  if (badLast4) return { error: `Terminación inválida: ${badLast4} (4 dígitos)` };
+
+  if (type === "DIRECTO") return { card: { type, aliases, last4 } };
+
+  const cutDay = Number(card.cutDay);
+  const dueDay = Number(card.dueDay);
+  const dueOffset = Number(card.dueOffset);
+
+  if (!Number.isInteger(cutDay) || cutDay < 1 || cutDay > 31) {
+    return { error: "El día de corte debe ser un entero entre 1 y 31." };
+  }
+  if (!Number.isInteger(dueDay) || dueDay < 1 || dueDay > 31) {
+    return { error: "El día límite debe ser un entero entre 1 y 31." };
+  }
+  if (dueOffset !== 0 && dueOffset !== 1) {
+    return { error: "El offset debe ser 0 (mismo mes) o 1 (mes siguiente)." };
+  }
+  if (dueOffset === 0 && dueDay <= cutDay) {
+    return { error: "Con offset 0 el día límite debe ser posterior al corte." };
+  }
+
+  const cutShift = String(card.cutShift || "NINGUNO").toUpperCase();
+  const dueShift = String(card.dueShift || "SIGUIENTE").toUpperCase();
+  if (!DAY_SHIFTS.has(cutShift) || !DAY_SHIFTS.has(dueShift)) {
+    return { error: "El ajuste debe ser NINGUNO, SIGUIENTE o ANTERIOR." };
+  }
+
+  const holidays = parseListField(card.holidays);
+
+  // Línea de crédito opcional ("-" o vacío => sin límite registrado)
+  const creditLimit = parseOptionalNumber(card.creditLimit);
+  if (Number.isNaN(creditLimit) || creditLimit === 0) {
+    return { error: "La línea de crédito debe ser un monto mayor a 0." };
+  }
+
+  // Reglas para recomendar tarjeta (todas opcionales)
+  const msiTerms = parseListField(card.msiTerms).map(Number);
+  if (msiTerms.some((n) => !Number.isInteger(n) || n < 2 || n > 60)) {
+    return { error: "Los plazos MSI deben ser enteros entre 2 y 60." };
+  }
+
+  const cashbackPct = parseOptionalNumber(card.cashbackPct) ?? 0;
+  if (Number.isNaN(cashbackPct) || cashbackPct > 20) {
+    return { error: "El cashback debe ser un porcentaje entre 0 y 20." };
+  }
+
+  const annualRate = parseOptionalNumber(card.annualRate);
+  if (Number.isNaN(annualRate) || annualRate > 200) {
+    return { error: "La tasa anual debe ser un porcentaje entre 0 y 200." };
+  }
+
+  const badHoliday = holidays.find((h) => !/^(\d{4}-)?\d{2}-\d{2}$/.test(h));
+  if (badHoliday) {
+    return { error: `Feriado inválido: ${badHoliday} (usa MM-DD o YYYY-MM-DD)` };
+  }
+
+  // "-" o vacío => INSTALLMENT_REMAINDER
+  const remainder =
+    !card.remainder || card.remainder === "-" ? null : normalizeText(card.remainder);
+  if (remainder && !REMAINDER_POSITIONS.has(remainder)) {
+    return { error: "El residuo debe ir en la PRIMERA o la ULTIMA mensualidad." };
+  }
+
+  return {
+    card: {
+      type, cutDay, dueDay, dueOffset, cutShift, dueShift, holidays, aliases, last4,
+      creditLimit, msiTerms: [...new Set(msiTerms)].sort((a, b) => a - b),
+      cashbackPct, annualRate, remainder,
+    },
+  };
+}
 
 /**
- * Retorna la fecha actual en formato DD/MM/YYYY
- * Ejemplo: 10/01/2026
+ * Campo numérico opcional del registro ($ y comas permitidos).
+ * - vacío / null / "-" => null
+ * - inválido o negativo => NaN (el llamador arma el error)
  */
-function formatDateDMY(date = new Date()) {
-  const d = String(date.getDate()).padStart(2, "0");
-  const m = String(date.getMonth() + 1).padStart(2, "0");
-  const y = date.getFullYear();
-  return `${d}/${m}/${y}`;
+function parseOptionalNumber(value) {
+  if (value === undefined || value === null || value === "" || value === "-") return null;
+  const n = Number(String(value).replace(/[$,%]/g, ""));
+  return Number.isFinite(n) && n >= 0 ? n : NaN;
 }
 
 /**
- * Parsea y valida el texto del comando /compra
- *
- * Entrada esperada:
- * /compra <monto> <meses> <banco> <descripción>
+ * Campo de lista del registro: acepta arreglo o texto separado por comas.
+ * "-" limpia la lista.
  */
-function parseCompraCommand(text) {
-  const normalized = text.trim();
-  const withoutCommand = normalized.replace(/^\/compra(@\w+)?\s*/i, "");
-  const parts = withoutCommand.split(/\s+/).filter(Boolean);
-
-  // Se requieren al menos 4 partes
-  if (parts.length < 4) return null;
+function parseListField(value) {
+  return (Array.isArray(value) ? value : String(value || "").split(","))
+    .map((x) => String(x).trim())
+    .filter((x) => x && x !== "-");
+}
 
-  // Limpieza de símbolos ($ y comas)
-  const amountRaw = parts[0].replace(/[$,]/g, "");
-  const monthsRaw = parts[1].replace(/,/g, "");
+/**
+ * Carga el registro desde disco. Si no existe, lo crea con DEFAULT_CARDS.
+ * Las tarjetas inválidas se descartan con un log (no tumban el arranque).
+ */
+function loadCardRegistry(filePath) {
+  const stored = readJsonFile(filePath, null);
+  const raw = stored || DEFAULT_CARDS;
 
-  const amount = Number(amountRaw);
-  const months = Number(monthsRaw);
-  const bank = parts[2];
-  const description = parts.slice(3).join(" ");
+  const cards = {};
+  for (const [bank, card] of Object.entries(raw)) {
+    const { card: valid, error } = validateCard(card || {});
+    if (error) {
+      console.error(`❌ Tarjeta ${bank} ignorada: ${error}`);
+      continue;
+    }
+    cards[bank.toUpperCase()] = valid;
+  }
 
-  // Validaciones duras
-  if (!Number.isFinite(amount) || amount <= 0) return null;
-  if (!Number.isInteger(months) || months <= 0 || months > 60) return null;
-  if (!bank || !description) return null;
+  if (!stored) {
+    try {
+      writeJsonFile(filePath, cards);
+    } catch (e) {
+      console.error("❌ No se pudo crear el registro de tarjetas:", e.message);
+    }
+  }
 
-  return { amount, months, bank, description };
+  return cards;
 }
 
 /**
- * Devuelve una Date con hora 00:00:00 para cálculos por día.
- * Evita errores por horas/minutos (ej. si ya son las 23:59).
+ * Archivo de un registro de tarjetas: "default" es CARD_REGISTRY_FILE y
+ * cualquier otro (asignado a un chat con /config) es tarjetas-<nombre>.json.
  */
-function normalizeToDay(date = new Date()) {
-  const d = new Date(date);
-  d.setHours(0, 0, 0, 0);
-  return d;
+function getCardRegistryFile(name) {
+  return name === DEFAULT_REGISTRY
+    ? CARD_REGISTRY_FILE
+    : path.join(DATA_DIR, `tarjetas-${name}.json`);
 }
 
+// Registros ya cargados (nombre -> { BANCO: tarjeta })
+const cardRegistries = new Map();
+
 /**
- * Suma meses a una fecha.
- * Se usa para construir el "corte del siguiente mes" y el "límite del siguiente mes".
+ * Registro de tarjetas por nombre (default: el del chat actual).
+ * Se carga del archivo la primera vez que se pide.
  */
-function addMonths(date, months) {
-  const d = new Date(date);
-  d.setMonth(d.getMonth() + months);
-  d.setHours(0, 0, 0, 0);
-  return d;
+function getCardRegistry(name = currentSettings().cards) {
+  if (!cardRegistries.has(name)) {
+    cardRegistries.set(name, loadCardRegistry(getCardRegistryFile(name)));
+  }
+  return cardRegistries.get(name);
+}
+
+console.log("🔎 Tarjetas registradas:", Object.keys(getCardRegistry()).join(", "));
+
+function saveCardRegistry(name = currentSettings().cards) {
+  writeJsonFile(getCardRegistryFile(name), getCardRegistry(name));
 }
 
 /**
- * Crea una fecha usando el mismo año/mes de baseDate, pero con un día específico.
- * Ej: baseDate=2026-02-05, day=24 => 2026-02-24
+ * Devuelve el ciclo { cutDay, dueDay, dueOffset } de una tarjeta de CREDITO.
+ * Para bancos DIRECTO o no registrados regresa null.
  */
-function buildDateYMDay(baseDate, day) {
-  const d = new Date(baseDate.getFullYear(), baseDate.getMonth(), day);
-  d.setHours(0, 0, 0, 0);
-  return d;
+function getCardCycle(bank) {
+  const card = getCardRegistry()[bank];
+  if (!card || card.type !== "CREDITO") return null;
+  return card;
 }
 
 /**
- * Obtiene la fecha de corte "próxima" para HOY.
- * - Si HOY <= corte del mes => el próximo corte es este mismo mes
- * - Si HOY >  corte del mes => el próximo corte es el del siguiente mes
+ * Bancos que NO pasan por validación financiera/corte (tipo DIRECTO).
+ *
+ * Para estos:
+ * - Se muestra preview
+ * - Al confirmar se guarda directo
  */
-function getNextCutDate(today, cutDay) {
-  const cutThisMonth = buildDateYMDay(today, cutDay);
-  if (today <= cutThisMonth) return cutThisMonth;
-  return buildDateYMDay(addMonths(today, 1), cutDay);
+function skipsCutValidation(bank) {
+  const card = getCardRegistry()[bank];
+  return !!card && card.type === "DIRECTO";
 }
 
 /**
- * Calcula la ventana de pago (cuántos días tienes para pagar) si compras HOY.
- *
- * Retorna:
- * {
- *   cutDate: Date,   // próximo corte que aplicaría a una compra HOY
- *   dueDate: Date,   // fecha límite de pago asociada a ese corte
- *   daysToPay: Number,
- *   cfg: { cutDay, dueDay, dueOffset }
- * }
- *
- * Nota:
- * En bancos reales, el "posteo" de compra puede variar, pero aquí usamos
- * un modelo consistente basado en tu comportamiento pasado.
+ * Lista de bancos con ciclo (tipo CREDITO), usada para rankings.
  */
-function getPaymentWindow(bank, today = new Date()) {
-  const cfg = CARD_CYCLE[bank];
-  if (!cfg) return null;
+function listCycleBanks() {
+  return Object.keys(getCardRegistry()).filter((bank) => getCardCycle(bank));
+}
 
-  const t = normalizeToDay(today);
-  const cutDate = getNextCutDate(t, cfg.cutDay);
+/* ============================================================
+ * RECONOCIMIENTO DE BANCOS (ALIAS + PARECIDOS)
+ * ============================================================
+ */
 
-  // La base del límite parte del mes del corte + dueOffset
-  const dueBase = addMonths(cutDate, cfg.dueOffset);
-  let dueDate = buildDateYMDay(dueBase, cfg.dueDay);
+/**
+ * Alias comunes. Solo aplican si el banco destino está registrado;
+ * cada tarjeta puede sumar los suyos con /tarjeta editar <banco> alias=...
+ */
+const BANK_ALIASES = {
+  RAPPI: "RAPPICARD",
+  MP: "MERCADOPAGO",
+  MERCADO: "MERCADOPAGO",
+  CITI: "BANAMEX",
+  CITIBANAMEX: "BANAMEX",
+  NUBANK: "NU",
+};
 
-  // Protección por si quedara igual/antes al corte (casos raros)
-  if (dueDate <= cutDate) {
-    dueDate = buildDateYMDay(addMonths(dueBase, 1), cfg.dueDay);
+/**
+ * Distancia de edición (Levenshtein) entre dos textos.
+ */
+function levenshtein(a, b) {
+  const prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diag = prev[0];
+    prev[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const tmp = prev[j];
+      prev[j] = Math.min(
+        prev[j] + 1,
+        prev[j - 1] + 1,
+        diag + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diag = tmp;
+    }
   }
+  return prev[b.length];
+}
 
-  const daysToPay = Math.max(
-    0,
-    Math.ceil((dueDate - t) / (1000 * 60 * 60 * 24))
-  );
-
-  return { cutDate, dueDate, daysToPay, cfg };
+/**
+ * Todos los nombres reconocibles => banco registrado.
+ */
+function getBankNameIndex() {
+  const cardRegistry = getCardRegistry();
+  const index = new Map();
+  for (const [alias, bank] of Object.entries(BANK_ALIASES)) {
+    if (cardRegistry[bank]) index.set(alias, bank);
+  }
+  for (const [bank, card] of Object.entries(cardRegistry)) {
+    for (const alias of card.aliases || []) index.set(alias, bank);
+    index.set(bank, bank);
+  }
+  return index;
 }
 
 /**
- * Genera un ranking de tarjetas para HOY según "más días para pagar".
- * Devuelve una lista ordenada desc (mejor primero).
+ * Intenta reconocer un banco escrito por el usuario.
+ * - Nombre exacto o alias => { bank }
+ * - Prefijo único de 3+ letras (ej. "banam") => { bank }
+ * - Si no: { bank: null, suggestions: [...] } con los más parecidos
  */
-function rankCardsByDaysToPay(today = new Date(), excludeBanks = []) {
-  const ex = new Set(excludeBanks);
-  const t = normalizeToDay(today);
+function resolveBank(input) {
+  const token = String(input || "").toUpperCase().replace(/[^A-Z0-9_]/g, "");
+  if (!token) return { bank: null, suggestions: [] };
 
-  const result = Object.keys(CARD_CYCLE)
-    .filter((bank) => !ex.has(bank))
-    .map((bank) => {
-      const w = getPaymentWindow(bank, t);
-      return w ? { bank, ...w } : null;
-    })
-    .filter(Boolean)
-    .sort((a, b) => b.daysToPay - a.daysToPay);
+  const index = getBankNameIndex();
+  if (index.has(token)) return { bank: index.get(token) };
 
-  return result;
+  if (token.length >= 3) {
+    const byPrefix = new Set(
+      [...index.entries()].filter(([name]) => name.startsWith(token)).map(([, b]) => b)
+    );
+    if (byPrefix.size === 1) return { bank: [...byPrefix][0] };
+  }
+
+  const maxDistance = Math.max(1, Math.floor(token.length / 3));
+  const scored = new Map();
+  for (const [name, bank] of index.entries()) {
+    const d = levenshtein(token, name);
+    if (d <= maxDistance && (!scored.has(bank) || d < scored.get(bank))) {
+      scored.set(bank, d);
+    }
+  }
+
+  const suggestions = [...scored.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .slice(0, 3)
+    .map(([bank]) => bank);
+
+  return { bank: null, suggestions };
 }
 
 /* ============================================================
- * RAILWAY: CREAR service-account.json DESDE ENV (si aplica)
+ * CATEGORÍAS Y ETIQUETAS
  * ============================================================
  *
- * En producción (Railway/Linux) no existe el archivo físico
- * service-account.json a menos que lo generemos.
+ * Cada compra puede llevar una categoría (columna CATEGORIA) y
+ * #etiquetas libres (columna ETIQUETAS):
  *
- * Estrategia:
- * - Si existe la variable GOOGLE_SA_JSON:
- *   - La parseamos (para validar)
- *   - Corregimos saltos de línea del private_key si vienen escapados
- *   - Escribimos el archivo en /tmp/service-account.json
+ *   /compra 9000 12 rappi Pantalla categoria=electronica #sala #regalo
  *
- * Esto permite seguir usando GoogleAuth({ keyFile: ... })
- * sin cambiar el resto del código.
+ * Si no se indica categoría, el preview muestra un teclado para elegirla
+ * con una sugerencia marcada con ⭐:
+ * 1) Aprendida: palabras de la descripción que ya aparecen en compras
+ *    anteriores con categoría (gana la categoría con más coincidencias)
+ * 2) Reglas: CATEGORY_KEYWORDS
+ *
+ * CATEGORIES (env, separadas por coma) define la lista disponible.
  */
-function ensureServiceAccountFile() {
-  // Solo tiene sentido en Linux/containers, pero no daña en Windows.
-  const raw = process.env.GOOGLE_SA_JSON;
-  if (!raw) return;
+const CATEGORIES = (
+  process.env.CATEGORIES ||
+  "SUPER,RESTAURANTES,HOGAR,ELECTRONICA,ROPA,SALUD,TRANSPORTE,ENTRETENIMIENTO,SERVICIOS,OTROS"
+)
+  .split(",")
+  .map((c) => normalizeText(c))
+  .filter(Boolean);
 
-  try {
-    const parsed = JSON.parse(raw);
+// Palabras clave por categoría (en MAYÚSCULAS y sin acentos)
+const CATEGORY_KEYWORDS = {
+  SUPER: ["SUPER", "WALMART", "SORIANA", "CHEDRAUI", "COSTCO", "SAMS", "OXXO", "HEB", "BODEGA"],
+  RESTAURANTES: ["RESTAURANTE", "TACOS", "PIZZA", "CAFE", "STARBUCKS", "COMIDA", "CENA", "DESAYUNO"],
+  HOGAR: ["LAVADORA", "COLCHON", "MUEBLE", "SALA", "REFRIGERADOR", "ESTUFA", "SILLA", "HOME DEPOT"],
+  ELECTRONICA: ["PANTALLA", "TV", "LAPTOP", "CELULAR", "IPHONE", "AUDIFONOS", "TABLET", "CONSOLA"],
+  ROPA: ["ROPA", "ZAPATOS", "TENIS", "PLAYERA", "PANTALON", "VESTIDO", "LIVERPOOL", "ZARA"],
+  SALUD: ["FARMACIA", "DOCTOR", "MEDICO", "HOSPITAL", "DENTISTA", "LABORATORIO", "MEDICINA"],
+  TRANSPORTE: ["GASOLINA", "UBER", "DIDI", "CASETA", "ESTACIONAMIENTO", "PEMEX", "VUELO", "AUTOBUS"],
+  ENTRETENIMIENTO: ["CINE", "NETFLIX", "SPOTIFY", "BOLETOS", "CONCIERTO", "VIDEOJUEGO"],
+  SERVICIOS: ["LUZ", "CFE", "AGUA", "INTERNET", "TELCEL", "TELMEX", "GAS", "SEGURO"],
+};
 
-    // Fix típico: private_key viene con "\\n" en vez de "\n"
-    if (parsed.private_key && typeof parsed.private_key === "string") {
-      parsed.private_key = parsed.private_key.replace(/\\n/g, "\n");
-    }
+/**
+ * Categoría registrada a partir de lo que escribió el usuario
+ * (sin importar mayúsculas/acentos; acepta un prefijo único). null si no existe.
+ */
+function resolveCategory(input) {
+  const token = normalizeText(input).replace(/_/g, " ");
+  if (!token) return null;
+  if (CATEGORIES.includes(token)) return token;
 
-    // Creamos /tmp si hiciera falta (normalmente ya existe)
-    fs.writeFileSync(GOOGLE_APPLICATION_CREDENTIALS, JSON.stringify(parsed, null, 2));
-    console.log("✅ Credenciales escritas en:", GOOGLE_APPLICATION_CREDENTIALS);
-  } catch (e) {
-    console.error("❌ GOOGLE_SA_JSON inválido:", e.message);
-  }
+  const matches = CATEGORIES.filter((c) => c.startsWith(token));
+  return matches.length === 1 ? matches[0] : null;
 }
 
-// Ejecutamos antes de inicializar Google Sheets
-ensureServiceAccountFile();
-
-
+/**
+ * Separa las #etiquetas del texto => { text, tags } (tags en minúsculas, sin #).
+ */
+function extractTags(text) {
+  const tags = [];
+  const rest = String(text || "").replace(/(^|\s)#([\p{L}\p{N}_-]+)/gu, (_, space, tag) => {
+    const t = tag.toLowerCase();
+    if (!tags.includes(t)) tags.push(t);
+    return space;
+  });
+  return { text: rest.replace(/\s+/g, " ").trim(), tags };
+}
+
+function formatTags(tags) {
+  return (tags || []).map((t) => `#${t}`).join(" ");
+}
+
+/**
+ * Palabras significativas de una descripción (para aprender categorías).
+ */
+function descriptionWords(text) {
+  return normalizeText(text)
+    .split(/[^A-Z0-9]+/)
+    .filter((w) => w.length >= 3 && !/^\d+$/.test(w));
+}
+
+/**
+ * Sugiere categoría para una descripción. purchases = compras anteriores
+ * (para aprender); regresa null si nada coincide.
+ */
+function suggestCategory(description, purchases = []) {
+  const words = new Set(descriptionWords(description));
+
+  // 1) Aprendida de compras anteriores
+  const votes = new Map();
+  for (const p of purchases) {
+    if (!p.category || !CATEGORIES.includes(p.category)) continue;
+    const shared = descriptionWords(p.description).filter((w) => words.has(w)).length;
+    if (shared) votes.set(p.category, (votes.get(p.category) || 0) + shared);
+  }
+  if (votes.size) return [...votes.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+  // 2) Reglas por palabra clave, en palabras completas (también las
+  // cortas que descriptionWords descarta, ej. "TV")
+  const normalized = ` ${normalizeText(description).split(/[^A-Z0-9]+/).filter(Boolean).join(" ")} `;
+  for (const [category, keywords] of Object.entries(CATEGORY_KEYWORDS)) {
+    if (!CATEGORIES.includes(category)) continue;
+    if (keywords.some((k) => normalized.includes(` ${k} `))) return category;
+  }
+  return null;
+}
+
+/**
+ * Umbral mínimo para mostrar advertencia:
+ * Si existe una tarjeta alternativa que te da >= X días extra para pagar,
+ * el bot muestra una 2da confirmación recomendando esa(s) tarjeta(s).
+ *
+ * Ej:
+ * - Elegiste BANAMEX (te da 10 días para pagar)
+ * - BBVA te da 30 días para pagar
+ * - Diferencia 20 >= 5 => advertimos con recomendación
+ */
+const IMPROVEMENT_THRESHOLD_DAYS = 5;
+
 /* ============================================================
- * GOOGLE SHEETS CLIENT
+ * HELPERS / FUNCIONES UTILITARIAS
+ * ============================================================
+ */
+
+/**
+ * Retorna la fecha actual en formato DD/MM/YYYY
+ * Ejemplo: 10/01/2026
+ */
+function formatDateDMY(date = chatNow()) {
+  const d = String(date.getDate()).padStart(2, "0");
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const y = date.getFullYear();
+  return `${d}/${m}/${y}`;
+}
+
+/**
+ * Hora HH:MM de un instante (ms o Date) en la zona horaria indicada.
+ */
+function formatTimeHM(instant, timeZone = currentSettings().timezone) {
+  const d = nowInTimezone(timeZone, new Date(instant));
+  return `${String(d.getHours()).padStart(2, "0")}:${String(d.getMinutes()).padStart(2, "0")}`;
+}
+
+/**
+ * Convierte "DD/MM/YYYY" (formato de F. COMPRA) a Date.
+ * Regresa null si el texto no tiene ese formato.
+ */
+function parseDateDMY(text) {
+  const m = String(text || "").trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/);
+  if (!m) return null;
+  const d = new Date(Number(m[3]), Number(m[2]) - 1, Number(m[1]));
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+/* ============================================================
+ * FECHA DE LA COMPRA (ATRASADA / FUTURA)
+ * ============================================================
+ *
+ * /compra acepta una fecha opcional como ÚLTIMA palabra, o en cualquier
+ * posición marcada con fecha=:
+ *
+ *   /compra 9000 12 bbva Pantalla ayer
+ *   /compra 9000 12 bbva Pantalla 15/10
+ *   /compra 9000 12 bbva Pantalla 2026-10-15
+ *   /compra 9000 12 bbva fecha=ayer comida de hoy
+ *
+ * La fecha define F. COMPRA y el cálculo de corte/límite y la
+ * recomendación de tarjeta se hacen "como si fuera ese día".
+ * Se rechazan fechas de más de PURCHASE_MAX_PAST_DAYS atrás o
+ * PURCHASE_MAX_FUTURE_DAYS adelante. Excepción: "DD/MM" sin año al final
+ * y fuera de ese rango se queda en la descripción ("tubo 3/4", "x 12/12");
+ * con fecha= sí es error.
+ * Una palabra en medio de la descripción nunca es fecha, ni la última si
+ * va después de "de", "del", "para"... ("comida de hoy" es descripción).
+ */
+const PURCHASE_MAX_PAST_DAYS = Number(process.env.PURCHASE_MAX_PAST_DAYS ?? 90);
+const PURCHASE_MAX_FUTURE_DAYS = Number(process.env.PURCHASE_MAX_FUTURE_DAYS ?? 30);
+
+// Palabras de fecha relativa => días a restar
+const RELATIVE_DAY_WORDS = { HOY: 0, AYER: 1, ANTIER: 2, ANTEAYER: 2 };
+
+// Antes de la última palabra, la vuelven parte de la descripción
+const DATE_CONNECTOR_WORDS = new Set(["DE", "DEL", "PARA", "POR", "A", "AL", "DESDE", "HASTA"]);
+
+/**
+ * Date (00:00) si los números forman una fecha real (31/02 => null).
+ */
+function buildValidDate(year, month, day) {
+  const d = new Date(year, month - 1, day);
+  return d.getFullYear() === year && d.getMonth() === month - 1 && d.getDate() === day
+    ? d
+    : null;
+}
+
+/**
+ * Interpreta un token como fecha de compra. Regresa:
+ * - null si el token no parece fecha
+ * - { error } si parece fecha pero no existe
+ * - { date, short } (00:00, hora de pared del chat; short = "DD/MM" sin año)
+ *
+ * "15/10" sin año usa el año en curso, o el anterior si así quedaría
+ * más allá de PURCHASE_MAX_FUTURE_DAYS (ej. "28/12" escrito en enero).
+ */
+function parsePurchaseDateToken(token, today = normalizeToDay()) {
+  const word = normalizeText(token);
+  if (word in RELATIVE_DAY_WORDS) {
+    const d = new Date(today);
+    d.setDate(d.getDate() - RELATIVE_DAY_WORDS[word]);
+    return { date: d };
+  }
+
+  let m = token.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (m) {
+    const date = buildValidDate(Number(m[1]), Number(m[2]), Number(m[3]));
+    return date ? { date } : { error: `La fecha ${token} no existe.` };
+  }
+
+  m = token.match(/^(\d{1,2})\/(\d{1,2})(?:\/(\d{4}))?$/);
+  if (!m) return null;
+
+  const [day, month] = [Number(m[1]), Number(m[2])];
+  if (m[3]) {
+    const date = buildValidDate(Number(m[3]), month, day);
+    return date ? { date } : { error: `La fecha ${token} no existe.` };
+  }
+
+  let date = buildValidDate(today.getFullYear(), month, day);
+  if (date && date - today > PURCHASE_MAX_FUTURE_DAYS * 86400000) {
+    date = buildValidDate(today.getFullYear() - 1, month, day);
+  }
+  return date ? { date, short: true } : null;
+}
+
+/**
+ * Busca y quita la fecha de compra del texto de /compra: fecha=<x> en
+ * cualquier posición o, si no, la última palabra.
+ * Regresa { text, date } (date=null si no viene) o { error }.
+ */
+function extractPurchaseDate(text, today = normalizeToDay()) {
+  const parts = text.trim().split(/\s+/);
+
+  let i = parts.findIndex((p, j) => j > 0 && /^fecha=/i.test(p));
+  const explicit = i !== -1;
+  if (!explicit) {
+    i = parts.length - 1;
+    if (i < 1 || DATE_CONNECTOR_WORDS.has(normalizeText(parts[i - 1]))) return { text, date: null };
+  }
+
+  const token = explicit ? parts[i].replace(/^fecha=/i, "") : parts[i];
+  const parsed = parsePurchaseDateToken(token, today);
+  if (!parsed) return explicit ? { error: `No entiendo la fecha "${token}".` } : { text, date: null };
+  if (parsed.error) return { error: parsed.error };
+
+  const diffDays = Math.round((parsed.date - today) / 86400000);
+  const outOfRange = diffDays < -PURCHASE_MAX_PAST_DAYS || diffDays > PURCHASE_MAX_FUTURE_DAYS;
+  if (parsed.short && outOfRange && !explicit) return { text, date: null };
+  if (parsed.short && outOfRange) {
+    return { error: `La fecha ${token} queda fuera del rango permitido.` };
+  }
+  if (diffDays < -PURCHASE_MAX_PAST_DAYS) {
+    return { error: `La fecha ${token} tiene más de ${PURCHASE_MAX_PAST_DAYS} días.` };
+  }
+  if (diffDays > PURCHASE_MAX_FUTURE_DAYS) {
+    return {
+      error: `La fecha ${token} está a más de ${PURCHASE_MAX_FUTURE_DAYS} días en el futuro.`,
+    };
+  }
+
+  parts.splice(i, 1);
+  return { text: parts.join(" "), date: parsed.date };
+}
+
+/**
+ * Convierte un valor leído de Sheets ("$9,000.00", "750", 750) a Number.
+ * Regresa null si la celda está vacía o no es numérica.
+ */
+function parseSheetNumber(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") return value;
+  const n = Number(String(value).replace(/[$,\s]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Formatea un monto como $9,000.00
+ */
+function formatMoney(amount) {
+  const n = Number(amount || 0);
+  return (
+    (n < 0 ? "-$" : "$") +
+    Math.abs(n).toLocaleString("es-MX", {
+      minimumFractionDigits: 2,
+      maximumFractionDigits: 2,
+    })
+  );
+}
+
+/**
+ * Escapa texto libre (descripciones, nombres) para parse_mode "Markdown".
+ */
+function escapeMarkdown(text) {
+  return String(text).replace(/([_*`\[])/g, "\\$1");
+}
+
+/**
+ * Texto comparable: MAYÚSCULAS, sin acentos y con espacios simples.
+ */
+function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toUpperCase()
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Interpreta un monto: 9000, 9,000, $9,000.50, 9k, 9.5k
+ * Regresa { value, explicit } o null. explicit=true si el texto trae
+ * señales claras de ser dinero ($, comas, decimales o "k").
+ */
+function parseAmountToken(token) {
+  const m = String(token).match(/^\$?(\d{1,3}(?:,\d{3})+|\d+)(\.\d{1,2})?(k)?$/i);
+  if (!m) return null;
+
+  let value = Number(m[1].replace(/,/g, "") + (m[2] || ""));
+  if (m[3]) value *= 1000;
+  if (!Number.isFinite(value) || value <= 0) return null;
+
+  const explicit = /[$,.k]/i.test(token);
+  return { value: Math.round(value * 100) / 100, explicit };
+}
+
+// Palabras que indican meses: "12 msi", "12 meses", "12msi"
+const MONTHS_WORDS = new Set(["MSI", "MESES", "MES"]);
+
+// Palabras que acompañan al monto y no son descripción
+const CURRENCY_WORDS = new Set(["MXN", "PESOS", "MN"]);
+
+/**
+ * Parsea y valida el texto del comando /compra
+ *
+ * Sintaxis oficial (se respeta tal cual):
+ * /compra <monto> <meses> <banco> <descripción>
+ *
+ * Además acepta texto libre con los datos en cualquier orden:
+ * /compra pantalla 9,000 a 12 msi con rappi
+ * /compra 9k contado bbva super
+ * /compra $9,000.50 MXN 6 meses nu audífonos
+ *
+ * - "contado" => 1 mes; sin meses indicados también se asume 1
+ * - El banco se reconoce por nombre, alias o parecido (resolveBank)
+ * - La sintaxis oficial solo aplica si el 3er token ES un banco; si no,
+ *   se lee como texto libre
+ * - Con varios números, el monto es el que trae $, comas, decimales o
+ *   "k", o el 1ro si va seguido de los meses; si no, es ambiguo
+ *
+ * Casos:
+ *   9000 12 pantalla con rappi  => 9000, 12 meses, RAPPICARD, "pantalla"
+ *   500 1 comida bbva           => 500, 1 mes, BBVA, "comida"
+ *   9000 12 bbvx pantalla       => banco no reconocido "bbvx" (sugiere BBVA)
+ *   2 tacos $150 bbva           => 150, 1 mes, BBVA, "2 tacos"
+ *   2 tacos 150 bbva            => { error } (¿2 o 150?)
+ *
+ * Regresa null si no hay monto/descripción, { error } si el monto es
+ * ambiguo, o:
+ * { amount, months, bank, bankInput, suggestions, description }
+ * bank=null significa "banco no reconocido" (ver suggestions).
+ */
+function parseCompraCommand(text) {
+  const normalized = text.trim();
+  const withoutCommand = normalized.replace(/^\/compra(@\w+)?\s*/i, "");
+  const parts = withoutCommand.split(/\s+/).filter(Boolean);
+
+  if (!parts.length) return null;
+
+  // 1) Sintaxis oficial: <monto> <meses> <banco> <descripción>
+  const strictAmount = parseAmountToken(parts[0]);
+  const strictMonths = Number((parts[1] || "").replace(/,/g, ""));
+  const strictBank = (parts[2] || "").toUpperCase();
+  const strictShape =
+    parts.length >= 4 &&
+    strictAmount &&
+    Number.isInteger(strictMonths) &&
+    !MONTHS_WORDS.has(strictBank) &&
+    strictBank !== "CONTADO";
+  const strictResolved = strictShape ? resolveBank(parts[2]) : null;
+  if (strictResolved?.bank) {
+    if (strictMonths <= 0 || strictMonths > 60) return null;
+    return {
+      amount: strictAmount.value,
+      months: strictMonths,
+      bank: strictResolved.bank,
+      bankInput: parts[2],
+      suggestions: [],
+      description: parts.slice(3).join(" "),
+    };
+  }
+
+  // 2) Texto libre: se marca cada token como monto/meses/banco/descripción
+  const used = new Array(parts.length).fill(false);
+  const upper = parts.map((p) => p.toUpperCase());
+  let amount = null;
+  let amountIdx = -1;
+  let months = null;
+  let bank = null;
+  let bankInput = null;
+  let suggestions = [];
+
+  // Meses: "12 msi", "12msi", "a 12 meses", "contado"
+  for (let i = 0; i < parts.length && months === null; i++) {
+    const glued = upper[i].match(/^(\d+)(MSI|MESES|MES)$/);
+    if (glued) {
+      months = Number(glued[1]);
+      used[i] = true;
+    } else if (/^\d+$/.test(parts[i]) && MONTHS_WORDS.has(upper[i + 1])) {
+      months = Number(parts[i]);
+      used[i] = used[i + 1] = true;
+    } else if (upper[i] === "CONTADO") {
+      months = 1;
+      used[i] = true;
+    } else {
+      continue;
+    }
+    if (i > 0 && upper[i - 1] === "A") used[i - 1] = true;
+  }
+
+  // Monto: primero el que trae $, comas, decimales o "k"; si no, el 1er
+  // número solo si es el único o va seguido de los meses (orden oficial)
+  const amountCandidates = parts
+    .map((p, i) => ({ i, parsed: used[i] ? null : parseAmountToken(p) }))
+    .filter((x) => x.parsed);
+  const explicitPick = amountCandidates.find((x) => x.parsed.explicit);
+  const first = amountCandidates[0];
+  const nextNumber = first ? Number(parts[first.i + 1]) : NaN;
+  const officialOrder =
+    first &&
+    months === null &&
+    /^\d+$/.test(parts[first.i + 1] || "") &&
+    nextNumber >= 1 &&
+    nextNumber <= 60;
+  if (!explicitPick && amountCandidates.length > 1 && !officialOrder) {
+    const values = amountCandidates.map((x) => parts[x.i]).join(" o ");
+    return {
+      error: `No sé cuál es el monto (${values}). Escríbelo con $, ej. $${parts[amountCandidates[1].i]}.`,
+    };
+  }
+  const amountPick = explicitPick || first;
+  if (amountPick) {
+    amount = amountPick.parsed.value;
+    amountIdx = amountPick.i;
+    used[amountIdx] = true;
+    if (CURRENCY_WORDS.has(upper[amountIdx + 1])) used[amountIdx + 1] = true;
+  }
+
+  // Meses sin palabra clave: entero justo después del monto (orden oficial)
+  if (months === null && amountIdx >= 0 && /^\d+$/.test(parts[amountIdx + 1] || "")) {
+    const n = Number(parts[amountIdx + 1]);
+    if (n >= 1 && n <= 60 && !used[amountIdx + 1]) {
+      months = n;
+      used[amountIdx + 1] = true;
+    }
+  }
+
+  // Banco: lo que sigue a "con" o cualquier token que se reconozca
+  const conIdx = upper.findIndex((u, i) => u === "CON" && !used[i] && parts[i + 1] && !used[i + 1]);
+  if (conIdx >= 0) {
+    const resolved = resolveBank(parts[conIdx + 1]);
+    bank = resolved.bank;
+    bankInput = parts[conIdx + 1];
+    suggestions = resolved.suggestions || [];
+    used[conIdx] = used[conIdx + 1] = true;
+  } else {
+    // 1ra pasada: nombre/alias exacto; 2da: prefijos (evita que "cap" de
+    // la descripción gane sobre un "nu" explícito)
+    const index = getBankNameIndex();
+    const exactIdx = upper.findIndex((u, i) => !used[i] && index.has(u));
+    const candidates = exactIdx >= 0 ? [exactIdx] : parts.map((_, i) => i);
+
+    for (const i of candidates) {
+      if (used[i]) continue;
+      const resolved = resolveBank(parts[i]);
+      if (resolved.bank) {
+        bank = resolved.bank;
+        bankInput = parts[i];
+        used[i] = true;
+        break;
+      }
+    }
+  }
+
+  // Forma oficial con un banco que no existe: se reporta ese token
+  if (!bank && !bankInput && strictShape && !used[2]) {
+    bankInput = parts[2];
+    suggestions = strictResolved.suggestions || [];
+    used[2] = true;
+  }
+
+  const description = parts.filter((_, i) => !used[i]).join(" ");
+
+  if (amount === null || !description) return null;
+  if (months === null) months = 1;
+  if (!Number.isInteger(months) || months <= 0 || months > 60) return null;
+
+  return { amount, months, bank, bankInput, suggestions, description };
+}
+
+/**
+ * Devuelve una Date con hora 00:00:00 para cálculos por día.
+ * Evita errores por horas/minutos (ej. si ya son las 23:59).
+ */
+function normalizeToDay(date = chatNow()) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Suma meses a una fecha.
+ * Se usa para construir el "corte del siguiente mes" y el "límite del siguiente mes".
+ */
+function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getDate();
+
+  // Evita el desborde de meses cortos: 31/01 + 1 mes => 28/02 (no 03/03)
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  d.setDate(Math.min(day, daysInMonth(d)));
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/**
+ * Número de días del mes de la fecha dada (28-31).
+ */
+function daysInMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+}
+
+/**
+ * Crea una fecha usando el mismo año/mes de baseDate, pero con un día específico.
+ * Ej: baseDate=2026-02-05, day=24 => 2026-02-24
+ *
+ * Si el mes no tiene ese día se usa el último (day=31 en febrero => 28/29).
+ */
+function buildDateYMDay(baseDate, day) {
+  const d = new Date(
+    baseDate.getFullYear(),
+    baseDate.getMonth(),
+    Math.min(day, daysInMonth(baseDate))
+  );
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+/* ============================================================
+ * CALENDARIO DE DÍAS HÁBILES (MÉXICO)
+ * ============================================================
+ *
+ * Los bancos mueven corte/límite cuando caen en fin de semana o en
+ * día inhábil bancario. Aquí se calculan los feriados oficiales (CNBV)
+ * para cualquier año, más los extra de EXTRA_HOLIDAYS (env) y los
+ * propios de cada tarjeta (holidays en el registro).
+ */
+
+// Feriados extra globales: "MM-DD" o "YYYY-MM-DD" separados por coma
+const EXTRA_HOLIDAYS = (process.env.EXTRA_HOLIDAYS || "")
+  .split(",")
+  .map((h) => h.trim())
+  .filter(Boolean);
+
+/**
+ * Fecha como YYYY-MM-DD (sin zona horaria, usando año/mes/día locales).
+ */
+function toISODate(date) {
+  const d = String(date.getDate()).padStart(2, "0");
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  return `${date.getFullYear()}-${m}-${d}`;
+}
+
+/**
+ * "YYYY-MM-DD" => Date (00:00). null si no tiene ese formato.
+ */
+function fromISODate(text) {
+  const m = String(text || "").match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  return m ? new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3])) : null;
+}
+
+/**
+ * N-ésimo día de la semana de un mes.
+ * Ej: tercer lunes de marzo => nthWeekdayOfMonth(2026, 2, 1, 3)
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+  const first = new Date(year, month, 1);
+  const offset = (weekday - first.getDay() + 7) % 7;
+  return new Date(year, month, 1 + offset + (n - 1) * 7);
+}
+
+/**
+ * Domingo de Pascua (algoritmo anónimo gregoriano).
+ * Se necesita para Jueves y Viernes Santo.
+ */
+function getEasterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return new Date(year, month - 1, day);
+}
+
+const holidayCache = new Map();
+
+/**
+ * Días inhábiles bancarios en México para un año (Set de YYYY-MM-DD).
+ */
+function getMexicanBankHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+
+  const easter = getEasterSunday(year);
+  const dates = [
+    new Date(year, 0, 1),                 // Año Nuevo
+    nthWeekdayOfMonth(year, 1, 1, 1),     // Día de la Constitución
+    nthWeekdayOfMonth(year, 2, 1, 3),     // Natalicio de Benito Juárez
+    new Date(year, easter.getMonth(), easter.getDate() - 3), // Jueves Santo
+    new Date(year, easter.getMonth(), easter.getDate() - 2), // Viernes Santo
+    new Date(year, 4, 1),                 // Día del Trabajo
+    new Date(year, 8, 16),                // Independencia
+    new Date(year, 10, 2),                // Día de Muertos (bancario)
+    nthWeekdayOfMonth(year, 10, 1, 3),    // Revolución Mexicana
+    new Date(year, 11, 12),               // Día del Empleado Bancario
+    new Date(year, 11, 25),               // Navidad
+  ];
+
+  // Transmisión del Poder Ejecutivo (cada 6 años: 2024, 2030, ...)
+  if (year >= 2024 && (year - 2024) % 6 === 0) dates.push(new Date(year, 9, 1));
+
+  const set = new Set(dates.map(toISODate));
+  holidayCache.set(year, set);
+  return set;
+}
+
+/**
+ * Indica si la fecha es día hábil bancario.
+ * extraHolidays: feriados adicionales ("MM-DD" o "YYYY-MM-DD").
+ */
+function isBusinessDay(date, extraHolidays = []) {
+  const dow = date.getDay();
+  if (dow === 0 || dow === 6) return false;
+
+  const iso = toISODate(date);
+  if (getMexicanBankHolidays(date.getFullYear()).has(iso)) return false;
+
+  const extra = [...EXTRA_HOLIDAYS, ...extraHolidays];
+  return !extra.includes(iso) && !extra.includes(iso.slice(5));
+}
+
+/**
+ * Recorre una fecha al día hábil según la regla del banco
+ * ("NINGUNO", "SIGUIENTE" o "ANTERIOR").
+ */
+function shiftToBusinessDay(date, rule, extraHolidays = []) {
+  if (!rule || rule === "NINGUNO") return date;
+
+  const step = rule === "ANTERIOR" ? -1 : 1;
+  const d = new Date(date);
+  while (!isBusinessDay(d, extraHolidays)) d.setDate(d.getDate() + step);
+  return d;
+}
+
+/* ============================================================
+ * CICLOS DE CORTE / LÍMITE
+ * ============================================================
+ */
+
+/**
+ * Corte y límite del ciclo cuyo corte nominal cae en el mes de monthDate.
+ *
+ * - El corte es cutDay del mes (o el último día si el mes es corto),
+ *   ajustado por cutShift.
+ * - El límite parte del mes del corte + dueOffset y se ajusta por dueShift.
+ * - period ("YYYY-MM") identifica el estado de cuenta por su mes de corte
+ *   nominal (aunque un ajuste de día hábil lo mueva al mes siguiente).
+ */
+function getCycleForMonth(monthDate, cfg) {
+  const cutDate = shiftToBusinessDay(
+    buildDateYMDay(monthDate, cfg.cutDay),
+    cfg.cutShift,
+    cfg.holidays
+  );
+
+  // La base del límite parte del mes del corte + dueOffset
+  const dueBase = addMonths(buildDateYMDay(monthDate, 1), cfg.dueOffset);
+  let dueDate = buildDateYMDay(dueBase, cfg.dueDay);
+
+  // Protección por si quedara igual/antes al corte (casos raros)
+  if (dueDate <= cutDate) {
+    dueDate = buildDateYMDay(addMonths(dueBase, 1), cfg.dueDay);
+  }
+
+  dueDate = shiftToBusinessDay(dueDate, cfg.dueShift, cfg.holidays);
+
+  return { period: toISODate(monthDate).slice(0, 7), cutDate, dueDate };
+}
+
+/**
+ * Obtiene el ciclo "próximo" para HOY (el primer corte >= HOY).
+ *
+ * Se revisa también el mes anterior porque un corte a fin de mes
+ * recorrido al siguiente día hábil puede caer ya en este mes.
+ */
+function getNextCycle(today, cfg) {
+  for (let i = -1; i <= 1; i++) {
+    const cycle = getCycleForMonth(addMonths(buildDateYMDay(today, 1), i), cfg);
+    if (today <= cycle.cutDate) return cycle;
+  }
+  return getCycleForMonth(addMonths(buildDateYMDay(today, 1), 2), cfg);
+}
+
+/**
+ * Calcula la ventana de pago (cuántos días tienes para pagar) si compras HOY.
+ *
+ * Retorna:
+ * {
+ *   period: String,  // "YYYY-MM" del estado de cuenta (mes de corte)
+ *   cutDate: Date,   // próximo corte que aplicaría a una compra HOY
+ *   dueDate: Date,   // fecha límite de pago asociada a ese corte
+ *   daysToPay: Number,
+ *   cfg: { cutDay, dueDay, dueOffset, cutShift, dueShift, holidays }
+ * }
+ *
+ * Corte y límite ya vienen ajustados a días hábiles (ver getCycleForMonth).
+ *
+ * Nota:
+ * En bancos reales, el "posteo" de compra puede variar, pero aquí usamos
+ * un modelo consistente basado en tu comportamiento pasado.
+ */
+function getPaymentWindow(bank, today = chatNow()) {
+  const cfg = getCardCycle(bank);
+  if (!cfg) return null;
+
+  const t = normalizeToDay(today);
+  const { period, cutDate, dueDate } = getNextCycle(t, cfg);
+
+  // Ambas fechas son 00:00 de pared (el proceso corre en UTC, sin
+  // horario de verano); round por si acaso
+  const daysToPay = Math.max(
+    0,
+    Math.round((dueDate - t) / (1000 * 60 * 60 * 24))
+  );
+
+  return { period, cutDate, dueDate, daysToPay, cfg };
+}
+
+/**
+ * Genera un ranking de tarjetas para HOY según "más días para pagar".
+ * Devuelve una lista ordenada desc (mejor primero).
+ */
+function rankCardsByDaysToPay(today = chatNow(), excludeBanks = []) {
+  const ex = new Set(excludeBanks);
+  const t = normalizeToDay(today);
+
+  const result = listCycleBanks()
+    .filter((bank) => !ex.has(bank))
+    .map((bank) => {
+      const w = getPaymentWindow(bank, t);
+      return w ? { bank, ...w } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.daysToPay - a.daysToPay);
+
+  return result;
+}
+
+/* ============================================================
+ * PROYECCIÓN DE ESTADOS DE CUENTA
+ * ============================================================
+ *
+ * Modelo:
+ * - La 1ra mensualidad de una compra cae en el primer corte >= F. COMPRA
+ * - Cada mensualidad siguiente cae en el corte del mes siguiente
+ * - Un estado de cuenta se identifica por su period ("YYYY-MM" del corte)
+ */
+
+/**
+ * Divide un monto en N mensualidades como lo hacen los bancos: cada una
+ * es monto/N truncado a centavos y los centavos que sobran se cargan en
+ * la PRIMERA o la ULTIMA (remainder).
+ * Ej: 1,000 a 3 => 333.34, 333.33, 333.33 (PRIMERA)
+ */
+function splitInstallments(amount, months, remainder = INSTALLMENT_REMAINDER) {
+  const cents = Math.round(amount * 100);
+  const base = Math.floor(cents / months);
+  const parts = Array(months).fill(base / 100);
+  parts[remainder === "PRIMERA" ? 0 : months - 1] = (cents - base * (months - 1)) / 100;
+  return parts;
+}
+
+// PRIMERA/ULTIMA que aplica a una tarjeta (la de su ciclo o la global)
+function getInstallmentRemainder(bank) {
+  return getCardCycle(bank)?.remainder || INSTALLMENT_REMAINDER;
+}
+
+/**
+ * Calendario de mensualidades de una compra con su tarjeta.
+ * Regresa [{ n, amount, period, cutDate, dueDate }] o [] si el banco
+ * no tiene ciclo o faltan datos.
+ */
+function getInstallmentSchedule(purchase) {
+  const cfg = getCardCycle(purchase.bank);
+  const date = parseDateDMY(purchase.date);
+  const months = Number(purchase.months) || 1;
+  if (!cfg || !date || !purchase.amount) return [];
+
+  const first = getNextCycle(normalizeToDay(date), cfg);
+  const firstMonth = new Date(Number(first.period.slice(0, 4)), Number(first.period.slice(5)) - 1, 1);
+
+  return splitInstallments(purchase.amount, months, getInstallmentRemainder(purchase.bank)).map((amount, i) => ({
+    n: i + 1,
+    amount,
+    ...getCycleForMonth(addMonths(firstMonth, i), cfg),
+  }));
+}
+
+/**
+ * Proyecta el estado de cuenta de un banco para un period ("YYYY-MM")
+ * con las compras ACTIVAS dadas más los cargos recurrentes pendientes.
+ *
+ * Retorna:
+ * {
+ *   period, cutDate, dueDate,
+ *   total: Number,
+ *   items: [{ purchase, n, months, amount }]
+ * }
+ */
+function projectStatement(bank, period, purchases) {
+  const cfg = getCardCycle(bank);
+  if (!cfg) return null;
+
+  const monthDate = new Date(Number(period.slice(0, 4)), Number(period.slice(5)) - 1, 1);
+  const { cutDate, dueDate } = getCycleForMonth(monthDate, cfg);
+
+  const items = [];
+  for (const purchase of purchases) {
+    if (purchase.bank !== bank || purchase.status !== "ACTIVA") continue;
+
+    const installment = getInstallmentSchedule(purchase).find((x) => x.period === period);
+    if (installment) {
+      items.push({
+        purchase,
+        n: installment.n,
+        months: Number(purchase.months) || 1,
+        amount: installment.amount,
+      });
+    }
+  }
+
+  // Cargos recurrentes que todavía no se registran (ver CARGOS RECURRENTES)
+  items.push(...getRecurringStatementItems(bank, period, cfg));
+
+  const total = Math.round(items.reduce((sum, x) => sum + x.amount, 0) * 100) / 100;
+  return { period, cutDate, dueDate, total, items };
+}
+
+/* ============================================================
+ * CRÉDITO DISPONIBLE POR TARJETA
+ * ============================================================
+ *
+ * Saldo usado = RESTANTE (columna F) de las compras ACTIVAS del banco.
+ * Si la fórmula aún no tiene valor se toma el MONTO completo.
+ */
+
+// Uso (%) a partir del cual una tarjeta se marca como "casi llena"
+const UTILIZATION_WARN_PCT = Number(process.env.UTILIZATION_WARN_PCT) || 80;
+
+function getUsedCredit(bank, purchases) {
+  return purchases
+    .filter((p) => p.bank === bank && p.status === "ACTIVA")
+    .reduce((sum, p) => sum + (p.remaining ?? p.amount ?? 0), 0);
+}
+
+/**
+ * Estado de crédito de una tarjeta si se le suma newAmount.
+ * Regresa null si la tarjeta no tiene línea de crédito registrada.
+ *
+ * {
+ *   limit, used, available,     // antes de la compra
+ *   availableAfter, utilization, // después de la compra (utilization en %)
+ *   exceeds: Boolean,            // la compra no cabe
+ *   overThreshold: Boolean       // uso > UTILIZATION_WARN_PCT
+ * }
+ */
+function getCreditStatus(bank, purchases, newAmount = 0) {
+  const card = getCardRegistry()[bank];
+  if (!card || !card.creditLimit) return null;
+
+  const limit = card.creditLimit;
+  const used = getUsedCredit(bank, purchases);
+  const after = used + newAmount;
+  const utilization = (after / limit) * 100;
+
+  return {
+    limit,
+    used,
+    available: limit - used,
+    availableAfter: limit - after,
+    utilization,
+    exceeds: after > limit,
+    overThreshold: utilization > UTILIZATION_WARN_PCT,
+  };
+}
+
+/* ============================================================
+ * MOTOR DE RECOMENDACIÓN (SCORE POR COMPRA)
+ * ============================================================
+ *
+ * Para una compra concreta (monto + meses) cada tarjeta recibe un
+ * "beneficio neto" estimado en pesos:
+ *
+ *   + valor de los días para pagar  (monto × días/365 × OPPORTUNITY_RATE)
+ *   + cashback                      (monto × cashbackPct)
+ *   − intereses si se difiere SIN MSI en ese plazo
+ *                                   (monto × tasa × (meses+1)/24, saldo promedio)
+ *   − castigo por uso alto          (monto × UTILIZATION_PENALTY_PCT si pasa del umbral)
+ *
+ * Las tarjetas donde la compra no cabe en el crédito quedan fuera.
+ * Sin reglas configuradas el score solo depende de los días para pagar,
+ * así que se comporta igual que el ranking por días.
+ */
+
+// Rendimiento anual (%) que se le asigna a tener el dinero más tiempo
+const OPPORTUNITY_RATE = Number(process.env.OPPORTUNITY_RATE) || 10;
+
+// Tasa anual (%) supuesta para tarjetas sin annualRate registrada
+const DEFAULT_ANNUAL_RATE = Number(process.env.DEFAULT_ANNUAL_RATE) || 60;
+
+// Castigo (% del monto) para tarjetas arriba de UTILIZATION_WARN_PCT
+const UTILIZATION_PENALTY_PCT = Number(process.env.UTILIZATION_PENALTY_PCT) || 2;
+
+/**
+ * Score de una tarjeta para una compra. null si la tarjeta no tiene ciclo.
+ *
+ * Retorna lo mismo que getPaymentWindow() más:
+ * { bank, credit, msi, interest, cashback, floatValue, utilizationPenalty,
+ *   score, excluded }
+ */
+function scoreCardForPurchase(bank, purchase, today, purchases) {
+  const window = getPaymentWindow(bank, today);
+  if (!window) return null;
+
+  const card = getCardRegistry()[bank];
+  const amount = Number(purchase.amount) || 0;
+  const months = Number(purchase.months) || 1;
+
+  const msi = months > 1 && card.msiTerms.includes(months);
+  const rate = card.annualRate ?? DEFAULT_ANNUAL_RATE;
+  const interest = months > 1 && !msi ? amount * (rate / 100) * ((months + 1) / 24) : 0;
+  const cashback = amount * (card.cashbackPct / 100);
+  const floatValue = amount * (window.daysToPay / 365) * (OPPORTUNITY_RATE / 100);
+
+  const credit = getCreditStatus(bank, purchases, amount);
+  const utilizationPenalty =
+    credit && credit.overThreshold ? amount * (UTILIZATION_PENALTY_PCT / 100) : 0;
+
+  return {
+    bank,
+    ...window,
+    credit,
+    msi,
+    interest,
+    cashback,
+    floatValue,
+    utilizationPenalty,
+    score: floatValue + cashback - interest - utilizationPenalty,
+    excluded: !!(credit && credit.exceeds),
+  };
+}
+
+/**
+ * Ranking de tarjetas para una compra (mejor score primero).
+ * Omite las excluidas por crédito y las de excludeBanks.
+ */
+function rankCardsForPurchase(purchase, today = chatNow(), purchases = [], excludeBanks = []) {
+  const ex = new Set(excludeBanks);
+  return listCycleBanks()
+    .filter((bank) => !ex.has(bank))
+    .map((bank) => scoreCardForPurchase(bank, purchase, today, purchases))
+    .filter((x) => x && !x.excluded)
+    .sort((a, b) => b.score - a.score || b.daysToPay - a.daysToPay);
+}
+
+/**
+ * Diferencia mínima de score para recomendar otra tarjeta: equivale a
+ * IMPROVEMENT_THRESHOLD_DAYS días de financiamiento sobre el monto.
+ */
+function getImprovementThreshold(amount) {
+  return amount * (IMPROVEMENT_THRESHOLD_DAYS / 365) * (OPPORTUNITY_RATE / 100);
+}
+
+/**
+ * Razones por las que `alt` sale mejor que `base` (para el mensaje).
+ */
+function explainAdvantage(alt, base, months) {
+  const reasons = [];
+
+  if (alt.msi && !base.msi) {
+    reasons.push(`MSI a ${months} (con ${base.bank} ≈${formatMoney(base.interest)} de intereses)`);
+  } else if (alt.interest + 0.01 < base.interest) {
+    reasons.push(`menos intereses (≈${formatMoney(alt.interest)} vs ${formatMoney(base.interest)})`);
+  }
+
+  if (alt.cashback > base.cashback) {
+    reasons.push(`cashback ${formatMoney(alt.cashback)} vs ${formatMoney(base.cashback)}`);
+  }
+
+  if (alt.daysToPay > base.daysToPay) {
+    reasons.push(`+${alt.daysToPay - base.daysToPay} días para pagar`);
+  }
+
+  if (base.utilizationPenalty > 0 && !alt.utilizationPenalty) {
+    reasons.push(`${base.bank} quedaría arriba de ${UTILIZATION_WARN_PCT}% de uso`);
+  }
+
+  return reasons;
+}
+
+/**
+ * Resumen de los factores de una tarjeta (para /mejor).
+ */
+function describeScore(x, months) {
+  const parts = [`${x.daysToPay} días`];
+  if (months > 1) parts.push(x.msi ? `MSI ${months}` : `intereses ≈${formatMoney(x.interest)}`);
+  if (x.cashback) parts.push(`cashback ${formatMoney(x.cashback)}`);
+  if (x.credit) parts.push(`uso ${Math.round(x.credit.utilization)}%${x.credit.overThreshold ? " ⚠️" : ""}`);
+  return parts.join(" · ");
+}
+
+/**
+ * Texto corto del crédito para listas: "disp. $12,000.00 · uso 85% ⚠️"
+ */
+function describeCredit(status) {
+  if (!status) return "";
+  return (
+    ` · disp. ${formatMoney(status.availableAfter)}` +
+    ` · uso ${Math.round(status.utilization)}%` +
+    (status.overThreshold ? " ⚠️" : "")
+  );
+}
+
+/* ============================================================
+ * GRÁFICAS PNG (SIN DEPENDENCIAS)
+ * ============================================================
+ *
+ * Para /resumen se dibujan gráficas de barras y de pastel en un
+ * lienzo RGB en memoria y se codifican como PNG con zlib (incluido
+ * en Node). El texto usa una fuente de mapa de bits 5x7, solo
+ * MAYÚSCULAS sin acentos (se normaliza con normalizeText).
+ */
+// Cada glifo: 7 filas de 5 pixeles ("#" = encendido)
+const FONT_5X7 = {
+  A: ".###. #...# #...# ##### #...# #...# #...#",
+  B: "####. #...# #...# ####. #...# #...# ####.",
+  C: ".###. #...# #.... #.... #.... #...# .###.",
+  D: "####. #...# #...# #...# #...# #...# ####.",
+  E: "##### #.... #.... ####. #.... #.... #####",
+  F: "##### #.... #.... ####. #.... #.... #....",
+  G: ".###. #...# #.... #.### #...# #...# .####",
+  H: "#...# #...# #...# ##### #...# #...# #...#",
+  I: ".###. ..#.. ..#.. ..#.. ..#.. ..#.. .###.",
+  J: "..### ...#. ...#. ...#. ...#. #..#. .##..",
+  K: "#...# #..#. #.#.. ##... #.#.. #..#. #...#",
+  L: "#.... #.... #.... #.... #.... #.... #####",
+  M: "#...# ##.## #.#.# #.#.# #...# #...# #...#",
+  N: "#...# #...# ##..# #.#.# #..## #...# #...#",
+  O: ".###. #...# #...# #...# #...# #...# .###.",
+  P: "####. #...# #...# ####. #.... #.... #....",
+  Q: ".###. #...# #...# #...# #.#.# #..#. .##.#",
+  R: "####. #...# #...# ####. #.#.. #..#. #...#",
+  S: ".#### #.... #.... .###. ....# ....# ####.",
+  T: "##### ..#.. ..#.. ..#.. ..#.. ..#.. ..#..",
+  U: "#...# #...# #...# #...# #...# #...# .###.",
+  V: "#...# #...# #...# #...# #...# .#.#. ..#..",
+  W: "#...# #...# #...# #.#.# #.#.# #.#.# .#.#.",
+  X: "#...# #...# .#.#. ..#.. .#.#. #...# #...#",
+  Y: "#...# #...# .#.#. ..#.. ..#.. ..#.. ..#..",
+  Z: "##### ....# ...#. ..#.. .#... #.... #####",
+  0: ".###. #...# #..## #.#.# ##..# #...# .###.",
+  1: "..#.. .##.. ..#.. ..#.. ..#.. ..#.. .###.",
+  2: ".###. #...# ....# ...#. ..#.. .#... #####",
+  3: "####. ....# ....# .###. ....# ....# ####.",
+  4: "...#. ..##. .#.#. #..#. ##### ...#. ...#.",
+  5: "##### #.... ####. ....# ....# #...# .###.",
+  6: "..##. .#... #.... ####. #...# #...# .###.",
+  7: "##### ....# ...#. ..#.. .#... .#... .#...",
+  8: ".###. #...# #...# .###. #...# #...# .###.",
+  9: ".###. #...# #...# .#### ....# ...#. .##..",
+  $: "..#.. .#### #.#.. .###. ..#.# ####. ..#..",
+  ",": "..... ..... ..... ..... .##.. ..#.. .#...",
+  ".": "..... ..... ..... ..... ..... .##.. .##..",
+  "%": "##..# ##..# ...#. ..#.. .#... #..## #..##",
+  "-": "..... ..... ..... ##### ..... ..... .....",
+  "+": "..... ..#.. ..#.. ##### ..#.. ..#.. .....",
+  "/": "....# ....# ...#. ..#.. .#... #.... #....",
+  "(": "...#. ..#.. .#... .#... .#... ..#.. ...#.",
+  ")": ".#... ..#.. ...#. ...#. ...#. ..#.. .#...",
+  ":": "..... .##.. .##.. ..... .##.. .##.. .....",
+  "?": ".###. #...# ....# ...#. ..#.. ..... ..#..",
+  " ": "..... ..... ..... ..... ..... ..... .....",
+};
+
+const CHART_COLORS = [
+  [52, 120, 246], [244, 96, 54], [46, 184, 114], [250, 190, 40],
+  [150, 90, 220], [30, 190, 200], [230, 70, 140], [120, 130, 140],
+];
+const CHART_BG = [255, 255, 255];
+const CHART_INK = [33, 37, 41];
+
+/**
+ * Lienzo RGB con primitivas mínimas (rectángulos y texto).
+ */
+function createCanvas(width, height, background = CHART_BG) {
+  const data = Buffer.alloc(width * height * 3);
+  for (let i = 0; i < width * height; i++) data.set(background, i * 3);
+
+  function setPixel(x, y, color) {
+    if (x < 0 || y < 0 || x >= width || y >= height) return;
+    data.set(color, (y * width + x) * 3);
+  }
+
+  function fillRect(x, y, w, h, color) {
+    for (let j = 0; j < h; j++) for (let i = 0; i < w; i++) setPixel(x + i, y + j, color);
+  }
+
+  // Texto con la fuente 5x7; scale agranda cada pixel. Regresa el ancho dibujado.
+  function text(x, y, str, color = CHART_INK, scale = 2) {
+    const chars = [...normalizeText(str)];
+    chars.forEach((ch, n) => {
+      const rows = (FONT_5X7[ch] || FONT_5X7["?"]).split(" ");
+      rows.forEach((row, j) => {
+        [...row].forEach((px, i) => {
+          if (px === "#") fillRect(x + (n * 6 + i) * scale, y + j * scale, scale, scale, color);
+        });
+      });
+    });
+    return chars.length * 6 * scale;
+  }
+
+  return { width, height, data, setPixel, fillRect, text };
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(buf) {
+  let c = 0xffffffff;
+  for (const byte of buf) c = CRC_TABLE[(c ^ byte) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, payload) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(payload.length);
+  const body = Buffer.concat([Buffer.from(type, "ascii"), payload]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * Codifica el lienzo como PNG (RGB 8 bits, sin filtros).
+ */
+function encodePng(canvas) {
+  const { width, height, data } = canvas;
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 8; // bits por canal
+  header[9] = 2; // RGB
+
+  const raw = Buffer.alloc((width * 3 + 1) * height);
+  for (let y = 0; y < height; y++) {
+    data.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlib.deflateSync(raw)),
+    pngChunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+/**
+ * Monto corto para etiquetas de gráfica ($12,345 sin centavos).
+ */
+function formatChartMoney(amount) {
+  return "$" + Math.round(amount).toLocaleString("en-US");
+}
+
+/**
+ * Barras horizontales. items: [{ label, value }] (ya ordenados).
+ */
+function renderBarChart(title, items) {
+  const rowHeight = 34;
+  const canvas = createCanvas(720, 70 + items.length * rowHeight);
+  const max = Math.max(...items.map((x) => x.value), 1);
+
+  canvas.text(20, 20, title, CHART_INK, 3);
+  items.forEach((item, i) => {
+    const y = 70 + i * rowHeight;
+    const width = Math.max(2, Math.round((item.value / max) * 340));
+    canvas.text(20, y + 6, item.label.slice(0, 14));
+    canvas.fillRect(200, y, width, 24, CHART_COLORS[i % CHART_COLORS.length]);
+    canvas.text(210 + width, y + 6, formatChartMoney(item.value));
+  });
+
+  return encodePng(canvas);
+}
+
+/**
+ * Pastel con leyenda (label, % y monto). items: [{ label, value }].
+ */
+function renderPieChart(title, items) {
+  const canvas = createCanvas(720, Math.max(380, 90 + items.length * 30));
+  const total = items.reduce((sum, x) => sum + x.value, 0) || 1;
+  const cx = 180;
+  const cy = 210;
+  const r = 140;
+
+  // Ángulo acumulado (0 = arriba, sentido horario) donde termina cada rebanada
+  let acc = 0;
+  const ends = items.map((x) => (acc += (x.value / total) * 2 * Math.PI));
+
+  for (let y = cy - r; y <= cy + r; y++) {
+    for (let x = cx - r; x <= cx + r; x++) {
+      const dx = x - cx;
+      const dy = y - cy;
+      if (dx * dx + dy * dy > r * r) continue;
+      const angle = (Math.atan2(dx, -dy) + 2 * Math.PI) % (2 * Math.PI);
+      const slice = ends.findIndex((end) => angle <= end);
+      canvas.setPixel(x, y, CHART_COLORS[Math.max(slice, 0) % CHART_COLORS.length]);
+    }
+  }
+
+  canvas.text(20, 20, title, CHART_INK, 3);
+  items.forEach((item, i) => {
+    const y = 80 + i * 30;
+    const pct = Math.round((item.value / total) * 100);
+    canvas.fillRect(350, y, 18, 18, CHART_COLORS[i % CHART_COLORS.length]);
+    canvas.text(378, y + 2, `${item.label.slice(0, 12)} ${pct}% ${formatChartMoney(item.value)}`);
+  });
+
+  return encodePng(canvas);
+}
+
+/* ============================================================
+ * DETECCIÓN DE POSIBLES DUPLICADOS
+ * ============================================================
+ *
+ * Antes de mostrar el preview se busca en la hoja una compra casi
+ * idéntica: mismo banco, mismo monto, misma descripción (sin importar
+ * mayúsculas, acentos ni espacios) y F. COMPRA a no más de
+ * DUPLICATE_WINDOW_DAYS días (0 = mismo día, -1 = no revisar).
+ *
+ * Solo es una advertencia en el preview: el usuario decide si confirma.
+ */
+const DUPLICATE_WINDOW_DAYS = Number(process.env.DUPLICATE_WINDOW_DAYS ?? 3);
+
+/**
+ * Compras de la hoja que parecen la misma que `purchase`.
+ */
+function findPossibleDuplicates(purchase, purchases) {
+  if (DUPLICATE_WINDOW_DAYS < 0) return [];
+
+  const date = parseDateDMY(purchase.date);
+  const description = normalizeText(purchase.description);
+  if (!date) return [];
+
+  return purchases.filter((p) => {
+    if (p.status === "CANCELADA" || p.bank !== purchase.bank) return false;
+    if (Math.abs(p.amount - Number(purchase.amount)) >= 0.01) return false;
+    if (normalizeText(p.description) !== description) return false;
+
+    const pDate = parseDateDMY(p.date);
+    return !!pDate && Math.abs(Math.round((pDate - date) / 86400000)) <= DUPLICATE_WINDOW_DAYS;
+  });
+}
+
+/* ============================================================
+ * RAILWAY: CREAR service-account.json DESDE ENV (si aplica)
+ * ============================================================
+ *
+ * En producción (Railway/Linux) no existe el archivo físico
+ * service-account.json a menos que lo generemos.
+ *
+ * Estrategia:
+ * - Si existe la variable GOOGLE_SA_JSON:
+ *   - La parseamos (para validar)
+ *   - Corregimos saltos de línea del private_key si vienen escapados
+ *   - Escribimos el archivo en /tmp/service-account.json
+ *
+ * Esto permite seguir usando GoogleAuth({ keyFile: ... })
+ * sin cambiar el resto del código.
+ */
+function ensureServiceAccountFile() {
+  // Solo tiene sentido en Linux/containers, pero no daña en Windows.
+  const raw = process.env.GOOGLE_SA_JSON;
+  if (!raw) return;
+
+  try {
+    const parsed = JSON.parse(raw);
+
+    // Fix típico: private_key viene con "\\n" en vez de "\n"
+    if (parsed.private_key && typeof parsed.private_key === "string") {
+      parsed.private_key = parsed.private_key.replace(/\\n/g, "\n");
+    }
+
+    // Creamos /tmp si hiciera falta (normalmente ya existe)
+    fs.writeFileSync(GOOGLE_APPLICATION_CREDENTIALS, JSON.stringify(parsed, null, 2));
+    console.log("✅ Credenciales escritas en:", GOOGLE_APPLICATION_CREDENTIALS);
+  } catch (e) {
+    console.error("❌ GOOGLE_SA_JSON inválido:", e.message);
+  }
+}
+
+// Ejecutamos antes de inicializar Google Sheets
+ensureServiceAccountFile();
+
+
+/* ============================================================
+ * GOOGLE SHEETS CLIENT
+ * ============================================================
+ */
+
+function getSheetsClient() {
+  if (!fs.existsSync(GOOGLE_APPLICATION_CREDENTIALS)) {
+    throw new Error(
+      `No existe el archivo de credenciales en: ${GOOGLE_APPLICATION_CREDENTIALS}`
+    );
+  }
+
+  const auth = new google.auth.GoogleAuth({
+    keyFile: GOOGLE_APPLICATION_CREDENTIALS,
+    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
+  });
+
+  return google.sheets({ version: "v4", auth });
+}
+
+let sheets = null;
+if (STORAGE !== "local") {
+  try {
+    sheets = getSheetsClient();
+    console.log("✅ Google Sheets client listo");
+  } catch (e) {
+    console.error("❌ No se pudo inicializar Google Sheets:", e.message);
+  }
+}
+
+/**
+ * Si el cliente no se pudo crear al arrancar (ej. credenciales aún no
+ * disponibles) se reintenta aquí en cada uso en lugar de quedar en null.
+ */
+function ensureSheets() {
+  if (sheets) return sheets;
+  try {
+    sheets = getSheetsClient();
+    console.log("✅ Google Sheets client listo");
+    return sheets;
+  } catch (e) {
+    throw new Error(`Google Sheets no está listo: ${e.message}`);
+  }
+}
+
+/**
+ * Hoja y pestaña del chat actual (ver CONFIGURACIÓN POR CHAT).
+ */
+function getSheetTarget() {
+  const { spreadsheetId, sheetName } = currentSettings();
+  if (!spreadsheetId) {
+    throw new Error("Este chat no tiene hoja configurada (/config hoja=<id>).");
+  }
+  return { spreadsheetId, sheetName };
+}
+
+/* ------------------------------------------------------------
+ * MAPA DE COLUMNAS (ENCABEZADO → CAMPO) Y VALIDACIÓN DE LA HOJA
+ * ------------------------------------------------------------
+ *
+ * El orden de columnas es configuración: SHEET_COLUMNS (env, JSON)
+ * declara encabezado → campo en el orden en que aparecen en la hoja:
+ *
+ *   SHEET_COLUMNS='{"DESCRIPCION DE LA COMPRA":"description","NOTAS":"-",...}'
+ *
+ * Campo "-" = columna ajena al bot (se lee y escribe vacía).
+ * Sin SHEET_COLUMNS se usa DEFAULT_SHEET_COLUMNS (el A:N de arriba).
+ * ID, CATEGORIA y ETIQUETAS son parte del mapa por default; si la hoja
+ * no tiene esos encabezados hay que agregarlos (ver abajo). Para no usar CATEGORIA
+ * o ETIQUETAS hay que quitarlas del mapa con SHEET_COLUMNS: el bot deja
+ * de leerlas y escribirlas.
+ *
+ * Antes de escribir se lee la fila 1 de la pestaña y se compara con el
+ * mapa (sin importar mayúsculas, acentos ni espacios). Si no coincide,
+ * NO se escribe y el error dice qué columna está mal. El resultado se
+ * guarda SCHEMA_CHECK_TTL_MS por hoja; /healthcheck lo revisa de nuevo.
+ *
+ * La revisión solo lee: nunca cambia la hoja. Columnas nuevas al final
+ * del mapa (ej. ID en una hoja que termina en K) se reportan como
+ * "missing"; un admin las escribe con /columnas crear (solo si la hoja
+ * coincide hasta su último encabezado y lo demás está vacío).
+ */
+const DEFAULT_SHEET_COLUMNS = {
+  "DESCRIPCION DE LA COMPRA": "description",
+  TITULAR: "user",
+  "F. COMPRA": "date",
+  ESTATUS: "status",
+  MONTO: "amount",
+  RESTANTE: "remaining",
+  MESES: "months",
+  BANCO: "bank",
+  "PAGO X MES": "monthly",
+  "F. INICIO": "startDate",
+  "F. FIN": "endDate",
+  ID: "id",
+  CATEGORIA: "category",
+  ETIQUETAS: "tags",
+};
+
+// Campos conocidos y cómo se leen de la hoja
+const SHEET_FIELD_PARSERS = {
+  description: (v) => v || "",
+  user: (v) => v || "",
+  date: (v) => v || "",
+  status: (v) => String(v || "").trim().toUpperCase(),
+  amount: parseSheetNumber,
+  remaining: parseSheetNumber,
+  months: parseSheetNumber,
+  bank: (v) => String(v || "").trim().toUpperCase(),
+  monthly: parseSheetNumber,
+  startDate: (v) => v || "",
+  endDate: (v) => v || "",
+  id: (v) => String(v || "").trim(),
+  category: (v) => normalizeText(v),
+  tags: (v) => extractTags(v).tags,
+};
+
+// Cómo se escriben en la hoja los campos que no son texto/número
+const SHEET_FIELD_FORMATTERS = {
+  tags: formatTags,
+};
+
+function formatSheetValue(field, value) {
+  const format = SHEET_FIELD_FORMATTERS[field];
+  return format ? format(value) : value ?? "";
+}
+
+// Calculados por fórmulas del Sheet: el bot nunca los escribe
+const FORMULA_FIELDS = new Set(["remaining", "monthly", "startDate", "endDate"]);
+
+// Sin estos el bot no puede guardar ni leer compras
+const REQUIRED_FIELDS = ["description", "user", "date", "status", "amount", "months", "bank", "id"];
+
+const SCHEMA_CHECK_TTL_MS = Number(process.env.SCHEMA_CHECK_TTL_MS) || 5 * 60 * 1000;
+
+/**
+ * Letra de columna para un índice 0-based (0 -> A, 26 -> AA).
+ */
+function columnLetter(index) {
+  let letter = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+  }
+  return letter;
+}
+
+/**
+ * Valida SHEET_COLUMNS y lo convierte en [{ header, field, letter }].
+ * Un mapa inválido detiene el arranque (mejor que escribir mal).
+ */
+function loadSheetColumns() {
+  let raw = DEFAULT_SHEET_COLUMNS;
+  if (process.env.SHEET_COLUMNS) {
+    try {
+      raw = JSON.parse(process.env.SHEET_COLUMNS);
+    } catch (e) {
+      throw new Error(`SHEET_COLUMNS no es JSON válido: ${e.message}`);
+    }
+  }
+
+  const columns = Object.entries(raw).map(([header, field], i) => ({
+    header,
+    field: field === "-" ? null : field,
+    letter: columnLetter(i),
+  }));
+
+  const fields = columns.map((c) => c.field).filter(Boolean);
+  const unknown = fields.filter((f) => !SHEET_FIELD_PARSERS[f]);
+  if (unknown.length) throw new Error(`SHEET_COLUMNS: campos desconocidos: ${unknown.join(", ")}`);
+
+  const repeated = fields.filter((f, i) => fields.indexOf(f) !== i);
+  if (repeated.length) throw new Error(`SHEET_COLUMNS: campos repetidos: ${repeated.join(", ")}`);
+
+  const missing = REQUIRED_FIELDS.filter((f) => !fields.includes(f));
+  if (missing.length) throw new Error(`SHEET_COLUMNS: faltan campos: ${missing.join(", ")}`);
+
+  return columns;
+}
+
+const SHEET_COLUMNS = loadSheetColumns();
+const LAST_COLUMN = SHEET_COLUMNS[SHEET_COLUMNS.length - 1].letter;
+console.log(
+  "🔎 Columnas:",
+  SHEET_COLUMNS.map((c) => `${c.letter}=${c.field || "-"}`).join(" ")
+);
+
+function getColumnLetter(field) {
+  return SHEET_COLUMNS.find((c) => c.field === field)?.letter;
+}
+
+// Resultado de la última revisión por hoja ("<spreadsheetId>|<pestaña>")
+const schemaChecks = new Map();
+
+/**
+ * Compara la fila de encabezados de la hoja del chat con SHEET_COLUMNS.
+ * Regresa { ok, problems: [texto], missing: [columnas] }; missing son las
+ * columnas vacías al final que /columnas crear puede agregar. force
+ * ignora el cache. Solo lee.
+ */
+async function checkSheetSchema(force = false) {
+  const { spreadsheetId, sheetName } = getSheetTarget();
+  const key = `${spreadsheetId}|${sheetName}`;
+
+  const cached = schemaChecks.get(key);
+  if (!force && cached && Date.now() - cached.checkedAt < SCHEMA_CHECK_TTL_MS) return cached;
+
+  ensureSheets();
+  const res = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A1:${LAST_COLUMN}1`,
+  });
+  const headers = (res.data.values || [])[0] || [];
+
+  const problems = [];
+  SHEET_COLUMNS.forEach((c, i) => {
+    if (!normalizeText(headers[i])) {
+      problems.push(`${c.letter}: falta el encabezado "${c.header}"`);
+    } else if (normalizeText(headers[i]) !== normalizeText(c.header)) {
+      problems.push(`${c.letter}: se esperaba "${c.header}" y hay "${headers[i]}"`);
+    }
+  });
+
+  // Encabezados vacíos al final => hoja de una versión anterior
+  let filled = headers.length;
+  while (filled > 0 && !normalizeText(headers[filled - 1])) filled--;
+  const prefixOk = SHEET_COLUMNS.slice(0, filled).every(
+    (c, i) => normalizeText(headers[i]) === normalizeText(c.header)
+  );
+  const missing = prefixOk && filled > 0 ? SHEET_COLUMNS.slice(filled) : [];
+
+  const result = { ok: !problems.length, problems, missing, checkedAt: Date.now() };
+  schemaChecks.set(key, result);
+  return result;
+}
+
+/**
+ * Lanza un error claro si la hoja no tiene las columnas esperadas.
+ * Se llama antes de cualquier escritura. El error lleva
+ * code = "SHEET_SCHEMA": reintentar no sirve hasta corregir la hoja.
+ */
+async function assertSheetSchema() {
+  const { ok, problems, missing } = await checkSheetSchema();
+  if (!ok) {
+    const { sheetName } = getSheetTarget();
+    const err = new Error(
+      `Las columnas de ${sheetName} no coinciden con SHEET_COLUMNS; ` +
+        `no se escribe nada hasta corregirlas (${problems.join("; ")})` +
+        (missing.length === problems.length ? ". Un admin puede agregarlas con /columnas crear" : "")
+    );
+    err.code = "SHEET_SCHEMA";
+    throw err;
+  }
+}
+
+/**
+ * Escribe en la fila 1 los encabezados que faltan al final (ver
+ * checkSheetSchema). Solo lo usa /columnas crear. Regresa las columnas
+ * agregadas ([] si no había nada que agregar o la hoja no coincide).
+ */
+async function addMissingSheetHeaders() {
+  const { spreadsheetId, sheetName } = getSheetTarget();
+  const { missing } = await checkSheetSchema(true);
+  if (!missing.length) return [];
+
+  await sheets.spreadsheets.values.update({
+    spreadsheetId,
+    range: `${sheetName}!${missing[0].letter}1:${LAST_COLUMN}1`,
+    valueInputOption: "RAW",
+    requestBody: { values: [missing.map((c) => c.header)] },
+  });
+  schemaChecks.delete(`${spreadsheetId}|${sheetName}`);
+  return missing;
+}
+
+/**
+ * ¿Ya existe en la hoja una fila con este id?
+ */
+async function purchaseIdExists(id) {
+  const { spreadsheetId, sheetName } = getSheetTarget();
+  const letter = getColumnLetter("id");
+  const res = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!${letter}2:${letter}`,
+  });
+  return (res.data.values || []).some((r) => String(r[0] || "").trim() === id);
+}
+
+/**
+ * Guarda una compra en Google Sheets en el orden de SHEET_COLUMNS
+ * (fórmulas y columnas ajenas van vacías).
+ * Se centraliza aquí para que confirm_purchase y confirm_purchase_ok
+ * no dupliquen código.
+ *
+ * Idempotente por purchase.id: si la fila ya existe (doble clic,
+ * reintento del outbox, callback repetido) no se vuelve a agregar.
+ */
+async function savePurchaseToSheets(purchase) {
+  ensureSheets();
+  await assertSheetSchema();
+
+  if (purchase.id && (await purchaseIdExists(purchase.id))) {
+    console.log(`ℹ️ Compra ${purchase.id} ya estaba en la hoja; no se duplica.`);
+    return;
+  }
+
+  const row = { ...purchase, status: "ACTIVA" };
+  const values = [
+    SHEET_COLUMNS.map((c) =>
+      !c.field || FORMULA_FIELDS.has(c.field) ? "" : formatSheetValue(c.field, row[c.field])
+    ),
+  ];
+
+  const { spreadsheetId, sheetName } = getSheetTarget();
+  await sheets.spreadsheets.values.append({
+    spreadsheetId,
+    range: `${sheetName}!A:${LAST_COLUMN}`,
+    valueInputOption: "USER_ENTERED",
+    insertDataOption: "INSERT_ROWS",
+    requestBody: { values },
+  });
+}
+
+/**
+ * Lee todas las compras de la hoja (sin encabezado) como objetos.
+ *
+ * - rowNumber es la fila real en la hoja (sirve para editarla después)
+ * - remaining / monthly / startDate / endDate vienen de las fórmulas
+ *   del Sheet ya calculadas
+ */
+async function readPurchasesFromSheets() {
+  ensureSheets();
+
+  const { spreadsheetId, sheetName } = getSheetTarget();
+  const res = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A2:${LAST_COLUMN}`,
+  });
+
+  return (res.data.values || [])
+    .map((r, i) => rowToPurchase(r, i + 2))
+    .filter((p) => p.description || p.amount);
+}
+
+/**
+ * Convierte una fila de la hoja en objeto compra según SHEET_COLUMNS.
+ */
+function rowToPurchase(r, rowNumber) {
+  const purchase = { rowNumber };
+  for (const field of Object.keys(SHEET_FIELD_PARSERS)) {
+    purchase[field] = SHEET_FIELD_PARSERS[field](undefined);
+  }
+  SHEET_COLUMNS.forEach((c, i) => {
+    if (c.field) purchase[c.field] = SHEET_FIELD_PARSERS[c.field](r[i]);
+  });
+  return purchase;
+}
+
+/**
+ * Lee una sola fila de la hoja. Regresa null si está vacía.
+ */
+async function readPurchaseRow(rowNumber) {
+  ensureSheets();
+
+  const { spreadsheetId, sheetName } = getSheetTarget();
+  const res = await sheets.spreadsheets.values.get({
+    spreadsheetId,
+    range: `${sheetName}!A${rowNumber}:${LAST_COLUMN}${rowNumber}`,
+  });
+
+  const row = (res.data.values || [])[0];
+  if (!row) return null;
+
+  const purchase = rowToPurchase(row, rowNumber);
+  return purchase.description || purchase.amount ? purchase : null;
+}
+
+/**
+ * Columnas que el bot puede modificar en una fila existente.
+ * Las de fórmulas no se tocan; category solo si la hoja la tiene.
+ */
+const PURCHASE_COLUMNS = Object.fromEntries(
+  ["description", "user", "date", "status", "amount", "months", "bank", "category"]
+    .map((f) => [f, getColumnLetter(f)])
+    .filter(([, letter]) => letter)
+);
+
+/**
+ * Actualiza en su lugar solo las celdas cambiadas de una fila.
+ * changes: { campo: valor } con llaves de PURCHASE_COLUMNS.
+ */
+async function updatePurchaseRow(rowNumber, changes) {
+  ensureSheets();
+  await assertSheetSchema();
+
+  const { spreadsheetId, sheetName } = getSheetTarget();
+  const missing = Object.keys(changes).filter((field) => !PURCHASE_COLUMNS[field]);
+  if (missing.length) {
+    throw new Error(`La hoja no tiene columna para: ${missing.join(", ")} (SHEET_COLUMNS)`);
+  }
+
+  const data = Object.entries(changes).map(([field, value]) => ({
+    range: `${sheetName}!${PURCHASE_COLUMNS[field]}${rowNumber}`,
+    values: [[formatSheetValue(field, value)]],
+  }));
+
+  await sheets.spreadsheets.values.batchUpdate({
+    spreadsheetId,
+    requestBody: { valueInputOption: "USER_ENTERED", data },
+  });
+}
+
+/* ============================================================
+ * ALMACENAMIENTO DEL LIBRO (SHEETS / LOCAL / ESPEJO)
+ * ============================================================
+ *
+ * Todo el bot lee y escribe compras a través de `ledger`, con la
+ * misma interfaz (todo async) sin importar dónde viven:
+ * - append(purchase)          => agrega (idempotente por purchase.id)
+ * - list()                    => todas las compras (rowToPurchase)
+ * - get(rowNumber)            => una compra | null
+ * - update(rowNumber, changes)=> cambia campos de PURCHASE_COLUMNS
+ *
+ * Selección por env:
+ * - STORAGE=sheets (default) => Google Sheets (fórmulas F, I, J, K en la hoja)
+ * - STORAGE=local            => libro JSON en DATA_DIR/ledger, sin Google;
+ *                               RESTANTE, PAGO X MES, F. INICIO y F. FIN
+ *                               los calcula el bot (computeLedgerFields)
+ * - STORAGE=mirror           => Sheets + copia local que se refresca en
+ *                               cada lectura/escritura; si Sheets no
+ *                               responde, las lecturas usan la copia
+ *
+ * Hay un libro local por hoja/pestaña (la del chat, ver /config), con
+ * rowNumber igual al de la hoja para que "fila N" signifique lo mismo.
+ */
+const LEDGER_DIR = process.env.LEDGER_DIR || path.join(DATA_DIR, "ledger");
+
+// Campos que se guardan en el libro local (el resto se calcula)
+const LEDGER_FIELDS = [
+  "description", "user", "date", "status", "amount", "months", "bank", "id", "category", "tags",
+];
+
+/**
+ * Fechas de pago de una compra para el libro local: las del ciclo de su
+ * tarjeta (getInstallmentSchedule) o, si no tiene ciclo (DIRECTO),
+ * mensualidades el mismo día de cada mes a partir del mes siguiente.
+ */
+function getLedgerPayments(purchase) {
+  const schedule = getInstallmentSchedule(purchase);
+  if (schedule.length) return schedule.map((x) => ({ amount: x.amount, dueDate: x.dueDate }));
+
+  const date = parseDateDMY(purchase.date);
+  const months = Number(purchase.months) || 1;
+  if (!date || !purchase.amount) return [];
+
+  return splitInstallments(purchase.amount, months).map((amount, i) => ({
+    amount,
+    dueDate: addMonths(date, i + 1),
+  }));
+}
+
+/**
+ * Equivalente local de las fórmulas del Sheet:
+ * - RESTANTE   = mensualidades con fecha límite de hoy en adelante
+ *                (0 si está LIQUIDADA o CANCELADA)
+ * - PAGO X MES = monto / meses
+ * - F. INICIO  = fecha límite de la 1ra mensualidad
+ * - F. FIN     = fecha límite de la última
+ */
+function computeLedgerFields(purchase, today = normalizeToDay(chatNow())) {
+  const payments = getLedgerPayments(purchase);
+  const closed = ["LIQUIDADA", "CANCELADA"].includes(purchase.status);
+
+  return {
+    remaining: closed
+      ? 0
+      : Math.round(
+          payments.filter((x) => x.dueDate >= today).reduce((sum, x) => sum + x.amount, 0) * 100
+        ) / 100,
+    monthly: payments.length ? payments[0].amount : null,
+    startDate: payments.length ? formatDateDMY(payments[0].dueDate) : "",
+    endDate: payments.length ? formatDateDMY(payments[payments.length - 1].dueDate) : "",
+  };
+}
+
+/**
+ * Archivo del libro local para la hoja/pestaña del chat actual.
+ */
+function getLedgerFile() {
+  const { spreadsheetId, sheetName } = currentSettings();
+  const key = `${spreadsheetId || "local"}-${sheetName}`.replace(/[^\w-]/g, "_");
+  return path.join(LEDGER_DIR, `${key}.json`);
+}
+
+/**
+ * Libro en archivos JSON: { rows: [{ rowNumber, ...LEDGER_FIELDS }] }.
+ * replaceAll() sobrescribe el libro completo (lo usa el espejo).
+ */
+function createLocalLedger() {
+  function load() {
+    return readJsonFile(getLedgerFile(), { rows: [] });
+  }
+
+  function toPurchase(row) {
+    const purchase = {
+      rowNumber: row.rowNumber,
+      description: row.description || "",
+      user: row.user || "",
+      date: row.date || "",
+      status: String(row.status || "").toUpperCase(),
+      amount: Number(row.amount) || 0,
+      months: Number(row.months) || 0,
+      bank: String(row.bank || "").toUpperCase(),
+      id: row.id || "",
+      category: row.category || "",
+      tags: Array.isArray(row.tags) ? row.tags : [],
+    };
+    return { ...purchase, ...computeLedgerFields(purchase) };
+  }
+
+  function pick(purchase) {
+    return Object.fromEntries(
+      ["rowNumber", ...LEDGER_FIELDS].map((f) => [f, purchase[f] ?? ""])
+    );
+  }
+
+  return {
+    async append(purchase) {
+      const ledger = load();
+      if (purchase.id && ledger.rows.some((r) => r.id === purchase.id)) return;
+
+      const last = ledger.rows.reduce((max, r) => Math.max(max, r.rowNumber), 1);
+      ledger.rows.push(pick({ ...purchase, status: "ACTIVA", rowNumber: last + 1 }));
+      writeJsonFile(getLedgerFile(), ledger);
+    },
+    async list() {
+      return load().rows.map(toPurchase);
+    },
+    async get(rowNumber) {
+      const row = load().rows.find((r) => r.rowNumber === rowNumber);
+      return row ? toPurchase(row) : null;
+    },
+    async update(rowNumber, changes) {
+      const ledger = load();
+      const row = ledger.rows.find((r) => r.rowNumber === rowNumber);
+      if (!row) throw new Error(`La fila ${rowNumber} no existe en el libro local.`);
+      Object.assign(row, changes);
+      writeJsonFile(getLedgerFile(), ledger);
+    },
+    async replaceAll(purchases) {
+      writeJsonFile(getLedgerFile(), { rows: purchases.map(pick) });
+    },
+  };
+}
+
+function createSheetsLedger() {
+  return {
+    append: savePurchaseToSheets,
+    list: readPurchasesFromSheets,
+    get: readPurchaseRow,
+    update: updatePurchaseRow,
+  };
+}
+
+/**
+ * Sheets como fuente de verdad + copia local siempre al día.
+ */
+function createMirrorLedger() {
+  const remote = createSheetsLedger();
+  const local = createLocalLedger();
+
+  async function refresh() {
+    const purchases = await remote.list();
+    try {
+      await local.replaceAll(purchases);
+    } catch (e) {
+      console.error("❌ No se pudo actualizar la copia local:", e.message);
+    }
+    return purchases;
+  }
+
+  return {
+    async append(purchase) {
+      await remote.append(purchase);
+      await refresh();
+    },
+    async list() {
+      try {
+        return await refresh();
+      } catch (e) {
+        console.error("⚠️ Sheets no respondió, se usa la copia local:", e.message);
+        return local.list();
+      }
+    },
+    async get(rowNumber) {
+      try {
+        return await remote.get(rowNumber);
+      } catch (e) {
+        console.error("⚠️ Sheets no respondió, se usa la copia local:", e.message);
+        return local.get(rowNumber);
+      }
+    },
+    async update(rowNumber, changes) {
+      await remote.update(rowNumber, changes);
+      await refresh();
+    },
+  };
+}
+
+function createLedger() {
+  if (STORAGE === "local") return createLocalLedger();
+  if (STORAGE === "mirror") return createMirrorLedger();
+  if (STORAGE !== "sheets") {
+    console.error(`❌ STORAGE desconocido: ${STORAGE} (se usa sheets)`);
+  }
+  return createSheetsLedger();
+}
+
+const ledger = createLedger();
+console.log("🔎 Almacenamiento:", STORAGE);
+
+/* ============================================================
+ * OUTBOX: COLA DURABLE DE ESCRITURAS A SHEETS
+ * ============================================================
+ *
+ * Una compra confirmada NO se escribe directo en Sheets: primero se
+ * guarda en el outbox (DATA_DIR/outbox.json) y de ahí se intenta
+ * escribir. Si Sheets no responde (credenciales, red, cuota...) la
+ * compra se queda en cola y se reintenta con backoff exponencial:
+ *
+ *   OUTBOX_RETRY_MS (30 s) * 2^(intentos-1), tope OUTBOX_MAX_RETRY_MS (30 min)
+ *
+ * Al escribirse una compra que estaba en cola se avisa al chat.
+ *
+ * Si la hoja tiene columnas que no coinciden (SHEET_SCHEMA) reintentar no
+ * sirve: la compra queda "blocked", se avisa al chat y ya no se reintenta
+ * sola; después de corregir la hoja, un admin usa /pendientes_sync ahora.
+ *
+ * queue = id de compra -> { purchase, chatId, userId, createdAt,
+ *                           attempts, nextAttemptAt, lastError, blocked }
+ * done  = id de compra -> timestamp de escritura
+ *
+ * `done` evita escribir dos veces la misma compra (doble clic,
+ * reintentos); se limpia después de OUTBOX_DONE_RETENTION_MS.
+ * Admin: /pendientes_sync muestra la cola.
+ */
+const OUTBOX_FILE = process.env.OUTBOX_FILE || path.join(DATA_DIR, "outbox.json");
+const OUTBOX_RETRY_MS = Number(process.env.OUTBOX_RETRY_MS) || 30 * 1000;
+const OUTBOX_MAX_RETRY_MS = Number(process.env.OUTBOX_MAX_RETRY_MS) || 30 * 60 * 1000;
+const OUTBOX_CHECK_MS = Number(process.env.OUTBOX_CHECK_MS) || 30 * 1000;
+const OUTBOX_DONE_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const outbox = readJsonFile(OUTBOX_FILE, { queue: {}, done: {} });
+outbox.queue = outbox.queue || {};
+outbox.done = outbox.done || {};
+
+// Ids que se están escribiendo ahora mismo (evita escrituras en paralelo)
+const outboxInFlight = new Set();
+
+function saveOutbox() {
+  writeJsonFile(OUTBOX_FILE, outbox);
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(OUTBOX_RETRY_MS * 2 ** Math.max(attempts - 1, 0), OUTBOX_MAX_RETRY_MS);
+}
+
+/**
+ * Intenta escribir una compra del outbox con la hoja de su chat.
+ * Regresa true si quedó escrita.
+ */
+async function writeOutboxEntry(id) {
+  const entry = outbox.queue[id];
+  if (!entry || outboxInFlight.has(id)) return false;
+
+  outboxInFlight.add(id);
+  try {
+    await withChat(entry.chatId, () => ledger.append({ id, ...entry.purchase }));
+  } catch (err) {
+    entry.attempts += 1;
+    entry.lastError = err.message;
+    entry.blocked = err.code === "SHEET_SCHEMA";
+    entry.nextAttemptAt = Date.now() + getRetryDelay(entry.attempts);
+    saveOutbox();
+    console.error(`📥 Compra ${id} en cola (intento ${entry.attempts}):`, err.message);
+    return false;
+  } finally {
+    outboxInFlight.delete(id);
+  }
+
+  delete outbox.queue[id];
+  outbox.done[id] = Date.now();
+  saveOutbox();
+  return true;
+}
+
+/**
+ * Manda una compra confirmada al outbox y la intenta escribir de inmediato.
+ * Regresa true si ya está en Sheets, false si quedó en cola.
+ */
+async function submitPurchase(id, purchase, chatId, userId) {
+  if (outbox.done[id]) return true;
+
+  if (!outbox.queue[id]) {
+    outbox.queue[id] = {
+      purchase,
+      chatId,
+      userId,
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: null,
+    };
+    saveOutbox();
+  }
+
+  return writeOutboxEntry(id);
+}
+
+/**
+ * Avisa al chat que una compra en cola no se puede escribir hasta
+ * corregir las columnas de la hoja.
+ */
+async function notifyBlockedPurchase(entry) {
+  const p = entry.purchase;
+  try {
+    await bot.telegram.sendMessage(
+      entry.chatId,
+      `⚠️ No se puede guardar ${p.description} (${formatMoney(p.amount)}, ${p.bank}):\n` +
+        `${entry.lastError}\n\n` +
+        "La compra sigue en cola. Corrige los encabezados de la hoja y un admin " +
+        "puede reintentar con /pendientes_sync ahora."
+    );
+  } catch (err) {
+    console.error(`No se pudo avisar al chat ${entry.chatId}:`, err.message);
+  }
+}
+
+/**
+ * Reintenta las compras en cola cuyo turno ya llegó (o todas con force).
+ * Las bloqueadas por columnas (blocked) solo se reintentan con force.
+ * Regresa cuántas se escribieron.
+ */
+async function flushOutbox(force = false) {
+  let written = 0;
+  // Forzado suele venir de un admin que acaba de corregir la hoja
+  if (force) schemaChecks.clear();
+
+  for (const [id, entry] of Object.entries(outbox.queue)) {
+    if (!force && (entry.blocked || entry.nextAttemptAt > Date.now())) continue;
+    if (!(await writeOutboxEntry(id))) {
+      if (entry.blocked) await notifyBlockedPurchase(entry);
+      continue;
+    }
+
+    written++;
+    const p = entry.purchase;
+    try {
+      await bot.telegram.sendMessage(
+        entry.chatId,
+        `✅ Compra en cola guardada en Sheets: ${p.description} ` +
+          `(${formatMoney(p.amount)}, ${p.months} meses, ${p.bank})`
+      );
+    } catch (err) {
+      console.error(`No se pudo avisar al chat ${entry.chatId}:`, err.message);
+    }
+  }
+
+  const cutoff = Date.now() - OUTBOX_DONE_RETENTION_MS;
+  const stale = Object.keys(outbox.done).filter((id) => outbox.done[id] < cutoff);
+  if (stale.length) {
+    stale.forEach((id) => delete outbox.done[id]);
+    saveOutbox();
+  }
+
+  return written;
+}
+
+const queuedAtStart = Object.keys(outbox.queue).length;
+if (queuedAtStart) console.log(`📥 Compras en cola (outbox): ${queuedAtStart}`);
+
+/* ============================================================
+ * MANEJO DE COMPRAS PENDIENTES (CONFIRMACIÓN)
+ * ============================================================
+ *
+ * Las compras pendientes viven en un "pending store" que sobrevive
+ * reinicios/redeploys (por omisión un archivo JSON en DATA_DIR):
+ * key   = id de la compra (viaja en el callback_data de cada botón)
+ * value = { kind, data, createdAt, stage, chatId, userId, ttlMs? }
+ * (ttlMs opcional: vida propia en vez de PENDING_TTL_MS, ej. cargos recurrentes)
+ *
+ * kind:
+ * - "COMPRA"  => compra nueva (/compra)
+ * - "EDICION" => cambio a una fila existente (/editar, /liquidar, /borrar)
+ * - "SIMULACION" => /simular en espera de "Registrar con X"
+ *
+ * Así un usuario puede tener varios previews abiertos a la vez y cada
+ * botón actúa solo sobre su propia compra.
+ *
+ * stage:
+ * - "PREVIEW" => primera pantalla
+ * - "WARNED"  => ya se mostró recomendación (2da confirmación)
+ *
+ * Interfaz del store (todo async, para poder conectar Redis u otro):
+ * - get(key)          => value | undefined
+ * - set(key, value)
+ * - delete(key)
+ * - entries()         => [[key, value], ...]
+ *
+ * Selección por env:
+ * - PENDING_STORE=file   (default) => DATA_DIR/pendientes.json
+ * - PENDING_STORE=memory           => Map en memoria (se pierde al reiniciar)
+ */
+const PENDING_STORE = (process.env.PENDING_STORE || "file").toLowerCase();
+const PENDING_STORE_FILE =
+  process.env.PENDING_STORE_FILE || path.join(DATA_DIR, "pendientes.json");
+
+// Tiempo de vida de una confirmación (default 3 minutos)
+const PENDING_TTL_MS = Number(process.env.PENDING_TTL_MS) || 3 * 60 * 1000;
+
+function isPendingExpired(pending, now = Date.now()) {
+  return now - pending.createdAt > (pending.ttlMs || PENDING_TTL_MS);
+}
+
+/**
+ * Store en memoria (comportamiento original).
+ */
+function createMemoryPendingStore() {
+  const map = new Map();
+  return {
+    async get(key) { return map.get(key); },
+    async set(key, value) { map.set(key, value); },
+    async delete(key) { map.delete(key); },
+    async entries() { return [...map.entries()]; },
+  };
+}
+
+/**
+ * Store respaldado en archivo JSON.
+ * Se mantiene una copia en memoria y se escribe el archivo en cada cambio.
+ */
+function createFilePendingStore(filePath) {
+  const map = new Map(Object.entries(readJsonFile(filePath, {})));
+
+  function persist() {
+    try {
+      writeJsonFile(filePath, Object.fromEntries(map));
+    } catch (e) {
+      console.error("❌ No se pudieron guardar los pendientes:", e.message);
+    }
+  }
+
+  return {
+    async get(key) { return map.get(key); },
+    async set(key, value) { map.set(key, value); persist(); },
+    async delete(key) { if (map.delete(key)) persist(); },
+    async entries() { return [...map.entries()]; },
+  };
+}
+
+function createPendingStore() {
+  if (PENDING_STORE === "memory") return createMemoryPendingStore();
+  if (PENDING_STORE !== "file") {
+    console.error(`❌ PENDING_STORE desconocido: ${PENDING_STORE} (se usa file)`);
+  }
+  return createFilePendingStore(PENDING_STORE_FILE);
+}
+
+const pendingPurchases = createPendingStore();
+console.log("🔎 Pending store:", PENDING_STORE, "TTL ms:", PENDING_TTL_MS);
+
+/**
+ * Id corto y único para una compra (12 caracteres hex).
+ * Cabe de sobra en el límite de 64 bytes del callback_data.
+ */
+function newPurchaseId() {
+  return crypto.randomBytes(6).toString("hex");
+}
+
+/**
+ * Recupera la compra pendiente a la que apunta un botón.
+ * El id viene en ctx.match[1] (regex de bot.action) y el pendiente
+ * debe ser del `kind` esperado.
+ *
+ * Si no existe, es de otro usuario o expiró: responde al usuario
+ * y regresa null.
+ */
+async function loadPendingFromCallback(ctx, kind = "COMPRA") {
+  const id = ctx.match[1];
+  const pending = await pendingPurchases.get(id);
+
+  if (!pending || (pending.kind || "COMPRA") !== kind) {
+    await ctx.answerCbQuery("No hay una compra pendiente.");
+    return null;
+  }
+
+  if (pending.userId !== ctx.from.id) {
+    await ctx.answerCbQuery("Esta compra la registró otra persona.");
+    return null;
+  }
+
+  if (isPendingExpired(pending)) {
+    await pendingPurchases.delete(id);
+    await ctx.editMessageText("⏱️ Esta confirmación expiró.");
+    await ctx.answerCbQuery();
+    return null;
+  }
+
+  return { id, pending };
+}
+
+/* ============================================================
+ * USUARIOS, ROLES Y TITULARES
+ * ============================================================
+ *
+ * Solo usuarios y chats autorizados pueden usar el bot.
+ * Se guarda en DATA_DIR/usuarios.json:
+ *
+ *   {
+ *     "users": { "<telegramId>": { "role": "admin", "titular": "Ana" } },
+ *     "chats": { "<chatId>": { "role": "member" } }
+ *   }
+ *
+ * Roles:
+ * - admin  => todo: /editar, /liquidar, /borrar, cambios en /tarjeta,
+ *             /usuarios, /config, /pendientes_sync y registrar compras a
+ *             nombre de otro titular
+ * - member => registrar y consultar
+ *
+ * Un chat autorizado (ej. el grupo familiar) da rol member a cualquiera
+ * que escriba en él; el rol propio del usuario tiene prioridad.
+ *
+ * ADMIN_IDS (ids separados por coma) siempre son admin: sirve para
+ * arrancar con el archivo vacío.
+ *
+ * El titular es el nombre canónico que se guarda en la columna TITULAR.
+ * Si el usuario no tiene uno asignado se usa su first_name.
+ */
+const USERS_FILE = process.env.USERS_FILE || path.join(DATA_DIR, "usuarios.json");
+
+const ADMIN_IDS = new Set(
+  (process.env.ADMIN_IDS || "")
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean)
+);
+
+const ROLES = new Set(["admin", "member"]);
+
+const access = readJsonFile(USERS_FILE, { users: {}, chats: {} });
+access.users = access.users || {};
+access.chats = access.chats || {};
+
+function saveAccess() {
+  writeJsonFile(USERS_FILE, access);
+}
+
+if (!ADMIN_IDS.size && !Object.keys(access.users).length && !Object.keys(access.chats).length) {
+  console.warn("⚠️ Sin usuarios autorizados: define ADMIN_IDS para administrar el bot.");
+}
+
+/**
+ * Rol efectivo de quien escribe: admin | member | null (sin acceso).
+ */
+function getRole(ctx) {
+  const userId = String(ctx.from?.id ?? "");
+  if (ADMIN_IDS.has(userId)) return "admin";
+
+  const userRole = access.users[userId]?.role;
+  if (ROLES.has(userRole)) return userRole;
+
+  const chatRole = ctx.chat ? access.chats[String(ctx.chat.id)]?.role : null;
+  return ROLES.has(chatRole) ? chatRole : null;
+}
+
+function isAdmin(ctx) {
+  return getRole(ctx) === "admin";
+}
+
+/**
+ * Titular canónico de quien escribe (columna TITULAR).
+ */
+function getTitular(ctx) {
+  return access.users[String(ctx.from.id)]?.titular || ctx.from.first_name || "Usuario";
+}
+
+/**
+ * Titulares conocidos (asignados en usuarios.json), para normalizar
+ * el nombre cuando un admin registra a nombre de otro.
+ */
+function listTitulares() {
+  return [...new Set(Object.values(access.users).map((u) => u.titular).filter(Boolean))];
+}
+
+/**
+ * Devuelve el titular con su escritura canónica si ya existe;
+ * si no, el texto tal cual.
+ */
+function resolveTitular(name) {
+  const clean = String(name || "").trim();
+  const known = listTitulares().find((t) => t.toUpperCase() === clean.toUpperCase());
+  return known || clean;
+}
+
+// Comandos y botones reservados para admin (se validan en el middleware)
+const ADMIN_COMMANDS = new Set([
+  "editar",
+  "liquidar",
+  "borrar",
+  "usuarios",
+  "config",
+  "pendientes_sync",
+  "healthcheck",
+  "columnas",
+]);
+const ADMIN_ACTIONS = /^(pick_row|confirm_edit|cancel_edit):/;
+
+
+/* ============================================================
+ * BOT TELEGRAM
+ * ============================================================
+ */
+
+const bot = new Telegraf(BOT_TOKEN);
+
+/**
+ * Autorización: todo update pasa por aquí antes de cualquier handler.
+ * - Sin acceso: comandos responden con el id (para darlo de alta),
+ *   botones se rechazan y el texto libre se ignora.
+ * - Comandos/botones de ADMIN_COMMANDS / ADMIN_ACTIONS requieren admin.
+ */
+bot.use(async (ctx, next) => {
+  if (!ctx.from) return;
+
+  const role = getRole(ctx);
+  const text = ctx.message?.text || "";
+  const command = (text.match(/^\/(\w+)(?:@\w+)?/) || [])[1]?.toLowerCase();
+  const data = ctx.callbackQuery?.data || "";
+
+  if (!role) {
+    if (ctx.callbackQuery) return ctx.answerCbQuery("🔒 No autorizado.");
+    if (command) {
+      return ctx.reply(
+        `🔒 No estás autorizado para usar este bot.
+
+Tu id de Telegram: ${ctx.from.id}
+` +
+          "Pídele a un admin que te agregue: /usuarios agregar <id> member <titular>"
+      );
+    }
+    return;
+  }
+
+  if (role !== "admin" && (ADMIN_COMMANDS.has(command) || ADMIN_ACTIONS.test(data))) {
+    if (ctx.callbackQuery) return ctx.answerCbQuery("🔒 Solo un admin puede hacer esto.");
+    return ctx.reply("🔒 Solo un admin puede usar este comando.");
+  }
+
+  return next();
+});
+
+// Todo lo que sigue corre con la hoja/tarjetas/zona del chat (/config)
+bot.use((ctx, next) => withChat(ctx.chat?.id, next));
+
+bot.start((ctx) => {
+  ctx.reply(
+    "🤖 Bot de Compras activo\n\n" +
+      "📌 Sintaxis:\n" +
+      "/compra <monto> <meses> <banco> <descripción>\n\n" +
+      "🧾 Ejemplo:\n" +
+      "/compra 9000 12 rappicard Pantalla Samsung 85\n\n" +
+      "ℹ️ Notas:\n" +
+      "- El banco se guarda en MAYÚSCULAS\n" +
+      "- Opcional: categoria=<cat> y #etiquetas (si falta la categoría se elige en el preview)\n" +
+      "- Opcional: fecha de la compra al final o con fecha= (ayer, 15/10, 2026-10-15); default hoy\n" +
+      "- Los cálculos se hacen en Google Sheets\n" +
+      "- Compras activas: /compras [banco] [mes] [titular]\n" +
+      "- Corregir o cerrar: /editar, /liquidar, /borrar\n" +
+      "- Próximo estado de cuenta: /estado <banco> [mes]\n" +
+      "- Plan de mensualidades de una compra: /plan <fila>\n" +
+      "- Crédito disponible: /credito\n" +
+      "- Mejor tarjeta para una compra: /mejor <monto> <meses>\n" +
+      "- Simular una compra (sin guardar): /simular <monto> <meses>\n" +
+      "- Reporte de gasto y gráficas: /resumen [mes|año]\n" +
+      "- Avisos de corte y pago: /recordatorios on\n" +
+      "- Suscripciones y cargos fijos: /recurrente\n" +
+      "- Reenvía el SMS/correo de tu banco para registrarlo\n" +
+      "- Tarjetas y cortes: /tarjeta listar\n" +
+      "- Admin: /compra ... titular=<nombre>, /usuarios, /config, /pendientes_sync, /healthcheck, /columnas"
+  );
+});
+
+const VERSION = process.env.VERSION || "2026-02-03-01";
+bot.command("version", (ctx) => ctx.reply(`Bot version: ${VERSION}`));
+
+/**
+ * /healthcheck (admin): estado del almacenamiento del chat, columnas de
+ * la hoja (se vuelven a leer, sin cache) y colas locales.
+ */
+bot.command("healthcheck", async (ctx) => {
+  const lines = [`🩺 Healthcheck (v${VERSION})`, "", `💾 Almacenamiento: ${STORAGE}`];
+
+  if (STORAGE === "local") {
+    lines.push("📄 Libro local (sin Google Sheets)");
+  } else {
+    try {
+      const { spreadsheetId, sheetName } = getSheetTarget();
+      lines.push(`📄 Hoja: ${spreadsheetId} / ${sheetName}`);
+
+      lines.push(describeSheetSchema(await checkSheetSchema(true)));
+    } catch (e) {
+      lines.push(`❌ No se pudo leer la hoja: ${e.message}`);
+    }
+  }
+
+  lines.push(
+    `📥 Outbox: ${Object.keys(outbox.queue).length} compra(s) en cola`,
+    `⏳ Confirmaciones abiertas: ${(await pendingPurchases.entries()).length}`,
+    `💳 Tarjetas: ${Object.keys(getCardRegistry()).length}`
+  );
+
+  await ctx.reply(lines.join("\n"));
+});
+
+function describeSheetSchema({ ok, problems, missing }) {
+  if (ok) return `✅ Columnas OK (A:${LAST_COLUMN})`;
+  return (
+    `❌ Columnas no coinciden, escrituras bloqueadas:\n${problems.map((p) => `• ${p}`).join("\n")}` +
+    (missing.length === problems.length ? "\n\nAgregarlas: /columnas crear" : "")
+  );
+}
+
+/**
+ * /columnas (admin): revisa los encabezados de la hoja del chat.
+ * /columnas crear: escribe los que faltan al final (ej. L:N en hojas
+ * que terminan en K). Es lo único que cambia la fila de encabezados.
+ */
+bot.command("columnas", async (ctx) => {
+  if (STORAGE === "local") return ctx.reply("📄 Libro local: no hay columnas que revisar.");
+
+  try {
+    const arg = ctx.message.text.replace(/^\/columnas(@\w+)?\s*/i, "").trim().toLowerCase();
+    if (!arg) return ctx.reply(describeSheetSchema(await checkSheetSchema(true)));
+    if (arg !== "crear") return ctx.reply("📌 Uso: /columnas [crear]");
+
+    const added = await addMissingSheetHeaders();
+    const schema = await checkSheetSchema(true);
+    if (!added.length) {
+      return ctx.reply(`ℹ️ No hay encabezados que agregar al final.\n\n${describeSheetSchema(schema)}`);
+    }
+
+    await ctx.reply(
+      `🛠️ Encabezados agregados: ${added.map((c) => `${c.letter}=${c.header}`).join(", ")}\n\n` +
+        describeSheetSchema(schema) +
+        (schema.ok && Object.keys(outbox.queue).length ? "\n\nReintentar la cola: /pendientes_sync ahora" : "")
+    );
+  } catch (err) {
+    console.error("Error /columnas:", err);
+    ctx.reply(`❌ No se pudo leer o escribir la hoja: ${err.message}`);
+  }
+});
+
+/* ============================================================
+ * COMANDO /compra → PREVIEW + CONFIRMACIÓN
+ * ============================================================
+ *
+ * Aquí solo se prepara la compra y se solicita confirmación.
+ * No se guarda nada todavía.
+ *
+ * Mejora: se incluye (si aplica) un cálculo de "días para pagar"
+ * estimado para la tarjeta elegida.
+ */
+
+/**
+ * Guarda la compra como pendiente y responde con el PREVIEW + botones.
+ * Es el punto de entrada común al flujo de confirmación (/compra,
+ * avisos bancarios, etc.).
+ *
+ * title permite distinguir el origen (ej. "Compra detectada en aviso").
+ * options.ttlMs alarga la vida del preview (ver isPendingExpired).
+ *
+ * Si la compra no trae categoría se propone una (suggestCategory) y el
+ * preview incluye el selector de categorías; al confirmar sin elegir se
+ * queda la sugerida.
+ */
+async function sendPurchasePreview(ctx, purchaseData, title = "Confirmar compra", options = {}) {
+  const id = newPurchaseId();
+
+  // Compras anteriores: duplicados y categoría aprendida (si la hoja no responde, se omiten)
+  let purchases = [];
+  try {
+    purchases = await ledger.list();
+  } catch (e) {
+    console.error("No se pudo revisar duplicados:", e.message);
+  }
+
+  const categoryChosen = Boolean(purchaseData.category);
+  const data = {
+    ...purchaseData,
+    category: purchaseData.category || suggestCategory(purchaseData.description, purchases),
+    tags: purchaseData.tags || [],
+  };
+
+  // Si no está en skip y tenemos ciclo configurado, calculamos ventana de pago
+  const windowInfo =
+    !skipsCutValidation(data.bank)
+      ? getPaymentWindow(data.bank, parseDateDMY(data.date) || chatNow())
+      : null;
+
+  const financeLine = windowInfo
+    ? `\n\n⏳ Tiempo para pagar (estimado): *${windowInfo.daysToPay} días*\n` +
+      `📌 Corte: *${formatDateDMY(windowInfo.cutDate)}*\n` +
+      `💳 Límite: *${formatDateDMY(windowInfo.dueDate)}*`
+    : "";
+
+  // Posible duplicado
+  let duplicateLine = "";
+  const duplicates = findPossibleDuplicates(data, purchases);
+  if (duplicates.length) {
+    duplicateLine =
+      "\n\n⚠️ *Posible duplicado*: ya existe " +
+      duplicates
+        .map((d) => `"${escapeMarkdown(d.description)}" del ${d.date} (fila ${d.rowNumber})`)
+        .join(", ");
+  }
+
+  const pending = {
+    kind: "COMPRA",
+    data,
+    createdAt: Date.now(),
+    stage: "PREVIEW",
+    chatId: ctx.chat.id,
+    userId: ctx.from.id,
+    title,
+    ...(options.ttlMs ? { ttlMs: options.ttlMs } : {}),
+    extra:
+      financeLine +
+      (data.months > 1 ? `\n\n${formatInstallmentPlan(data)}` : "") +
+      duplicateLine,
+    categoryChosen,
+  };
+
+  // Guardamos pendiente con su propio id (no pisa otros previews abiertos)
+  await pendingPurchases.set(id, pending);
+
+  const { text, keyboard } = renderPurchasePreview(id, pending);
+  await ctx.replyWithMarkdown(text, keyboard);
+}
+
+/**
+ * Marca en el preview si la compra no es de hoy: " (ayer)", " (hace 5 días)", " (en 3 días)".
+ */
+function describePurchaseDate(dateText) {
+  const date = parseDateDMY(dateText);
+  if (!date) return "";
+
+  const diff = Math.round((date - normalizeToDay()) / 86400000);
+  if (diff === 0) return "";
+  if (diff === -1) return " (ayer)";
+  return diff < 0 ? ` (hace ${-diff} días)` : ` (en ${diff} días)`;
+}
+
+/**
+ * Texto + botones del preview. Mientras no se haya elegido categoría
+ * se muestra el selector (⭐ = sugerida).
+ */
+function renderPurchasePreview(id, pending) {
+  const { data, title, extra = "", categoryChosen } = pending;
+
+  const categoryLine = data.category
+    ? `\n🏷️ Categoría: *${data.category}*${categoryChosen ? "" : " (sugerida)"}`
+    : "\n🏷️ Categoría: _sin categoría_";
+  const tagsLine = data.tags?.length ? `\n🔖 Etiquetas: ${escapeMarkdown(formatTags(data.tags))}` : "";
+
+  const text =
+    `🧾 *${title}*\n\n` +
+    `📌 *${data.description}*\n` +
+    `💰 Monto: *$${data.amount}*\n` +
+    `🗓️ Meses: *${data.months}*\n` +
+    `🏦 Banco: *${data.bank}*\n` +
+    `👤 Titular: *${data.user}*\n` +
+    `📅 F. compra: *${data.date}*${describePurchaseDate(data.date)}` +
+    categoryLine +
+    tagsLine +
+    extra;
+
+  const actions = [
+    Markup.button.callback("✅ Confirmar", `confirm_purchase:${id}`),
+    Markup.button.callback("❌ Cancelar", `cancel_purchase:${id}`),
+  ];
+
+  if (categoryChosen) {
+    return {
+      text,
+      keyboard: Markup.inlineKeyboard([
+        actions,
+        [Markup.button.callback("🏷️ Cambiar categoría", `pick_category:${id}`)],
+      ]),
+    };
+  }
+
+  const buttons = CATEGORIES.map((c, i) =>
+    Markup.button.callback(`${c === data.category ? "⭐ " : ""}${c}`, `set_category:${id}:${i}`)
+  );
+  buttons.push(Markup.button.callback("🚫 Sin categoría", `set_category:${id}:x`));
+
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 3) rows.push(buttons.slice(i, i + 3));
+  rows.push(actions);
+
+  return { text, keyboard: Markup.inlineKeyboard(rows) };
+}
+
+bot.hears(/^\/compra(\@\w+)?\s+/i, async (ctx) => {
+  try {
+    let text = ctx.message.text;
+    let titular = getTitular(ctx);
+
+    // titular=<nombre> (solo admin): registrar a nombre de otro titular
+    const onBehalf = text.match(/\s+titular=(\S+)/i);
+    if (onBehalf) {
+      if (!isAdmin(ctx)) {
+        return ctx.reply("🔒 Solo un admin puede registrar a nombre de otro titular.");
+      }
+      titular = resolveTitular(onBehalf[1].replace(/_/g, " "));
+      text = text.replace(onBehalf[0], "");
+    }
+
+    // categoria=<nombre> / cat=<nombre> y #etiquetas (opcionales)
+    let category = null;
+    const categoryMatch = text.match(/\s+(?:categoria|categoría|cat)=(\S+)/i);
+    if (categoryMatch) {
+      category = resolveCategory(categoryMatch[1]);
+      if (!category) {
+        return ctx.reply(
+          `❌ No reconozco la categoría "${categoryMatch[1]}".\n\n` +
+            `🏷️ Disponibles: ${CATEGORIES.join(", ")}`
+        );
+      }
+      text = text.replace(categoryMatch[0], "");
+    }
+
+    const { text: withoutTags, tags } = extractTags(text);
+    text = withoutTags;
+
+    // Fecha opcional al final o con fecha=: ayer, 15/10, 2026-10-15 (default hoy)
+    const dated = extractPurchaseDate(text);
+    if (dated.error) {
+      return ctx.reply(
+        `❌ ${dated.error}\n\n` +
+          `📅 Al final o con fecha=: hoy, ayer, antier, DD/MM, DD/MM/AAAA o AAAA-MM-DD ` +
+          `(hasta ${PURCHASE_MAX_PAST_DAYS} días atrás y ${PURCHASE_MAX_FUTURE_DAYS} adelante).`
+      );
+    }
+    text = dated.text;
+
+    const parsed = parseCompraCommand(text);
+    if (parsed?.error) return ctx.reply(`❌ ${parsed.error}`);
+
+    if (!parsed) {
+      return ctx.reply(
+        "❌ Formato inválido.\n\n" +
+          "📌 Sintaxis:\n/compra <monto> <meses> <banco> <descripción> [fecha] [categoria=<cat>] [#etiqueta]\n\n" +
+          "🧾 Ejemplos:\n/compra 9000 12 rappicard Pantalla Samsung 85\n" +
+          "/compra pantalla 9,000 a 12 msi con rappi\n" +
+          "/compra 9k contado bbva super"
+      );
+    }
+
+    // Banco no reconocido: NO se guarda, se sugiere el más parecido
+    if (!parsed.bank) {
+      if (!parsed.bankInput) {
+        return ctx.reply(
+          "❌ No encontré el banco en tu mensaje.\n\n" +
+            `🏦 Registrados: ${Object.keys(getCardRegistry()).join(", ")}`
+        );
+      }
+
+      const hint = parsed.suggestions.length
+        ? `🤔 ¿Quisiste decir ${parsed.suggestions.join(" o ")}?\n\n` +
+          `Ejemplo: /compra ${parsed.amount} ${parsed.months} ` +
+          `${parsed.suggestions[0].toLowerCase()} ${parsed.description}`
+        : `🏦 Registrados: ${Object.keys(getCardRegistry()).join(", ")}\n` +
+          "Para agregarlo: /tarjeta agregar <banco> ...";
+
+      return ctx.reply(`❌ No reconozco el banco "${parsed.bankInput}".\n\n${hint}`);
+    }
+
+    await sendPurchasePreview(ctx, {
+      date: formatDateDMY(dated.date || chatNow()),
+      amount: parsed.amount,
+      months: parsed.months,
+      bank: parsed.bank,
+      description: parsed.description,
+      user: titular,
+      category,
+      tags,
+    });
+  } catch (err) {
+    console.error("Error /compra:", err);
+    ctx.reply("❌ Ocurrió un error preparando la compra.");
+  }
+});
+
+/**
+ * Paso final: la compra pasa al outbox (ver OUTBOX) y se intenta escribir.
+ * El pendiente se borra en ambos casos: si Sheets falla la compra sigue
+ * en cola y no hay que volver a capturarla. Un segundo clic mientras se
+ * escribe solo recibe "Guardando".
+ */
+async function commitPurchase(ctx, key, purchase) {
+  // Doble toque: el primer clic sigue escribiendo, no es una falla
+  if (outboxInFlight.has(key)) return ctx.answerCbQuery("⏳ Guardando la compra...");
+
+  const written = await submitPurchase(key, purchase, ctx.chat.id, ctx.from.id);
+  await pendingPurchases.delete(key);
+
+  const entry = outbox.queue[key];
+  const reason = entry?.lastError;
+  await ctx.editMessageText(
+    written
+      ? "✅ Compra guardada exitosamente."
+      : entry?.blocked
+        ? `⚠️ No se pudo guardar:\n${reason}\n\n` +
+          "La compra quedó en cola, pero no se reintenta sola: corrige los encabezados " +
+          "de la hoja y un admin puede reintentar con /pendientes_sync ahora."
+        : "📥 No se pudo escribir en Google Sheets" +
+          (reason ? `:\n${reason}\n\n` : ". ") +
+          "La compra quedó en cola y se guardará automáticamente; te aviso aquí cuando quede."
+  );
+  await ctx.answerCbQuery();
+}
+
+/* ============================================================
+ * CONFIRMAR COMPRA
+ * ============================================================
+ *
+ * Aquí se decide:
+ * - Guardar directo
+ * - o mostrar recomendación (2da confirmación)
+ *
+ * Reglas:
+ * 1) Bancos DIRECTO (CAPITAL/PRESTAMO) -> guardar directo
+ * 2) Si banco no tiene ciclo configurado -> guardar directo
+ * 3) Si existe una alternativa con mejor score (días para pagar, MSI,
+ *    cashback, intereses y uso; ver MOTOR DE RECOMENDACIÓN), o la
+ *    compra excede el crédito disponible / sube el uso arriba de
+ *    UTILIZATION_WARN_PCT:
+ *    -> advertencia y 2da confirmación ("OK Guardar")
+ *    (las alternativas donde la compra no cabe se omiten)
+ */
+bot.action(/^confirm_purchase:(\w+)$/, async (ctx) => {
+  try {
+    const loaded = await loadPendingFromCallback(ctx);
+    if (!loaded) return;
+
+    const { id: key, pending } = loaded;
+    const purchase = pending.data;
+
+    // 1) Bancos sin validación financiera -> guarda directo
+    if (skipsCutValidation(purchase.bank)) {
+      return commitPurchase(ctx, key, purchase);
+    }
+
+    // 2) Calculamos ventana de pago para tarjeta elegida
+    // Corte/límite y recomendación "como si fuera" el día de la compra
+    const asOf = parseDateDMY(purchase.date) || chatNow();
+    const chosen = getPaymentWindow(purchase.bank, asOf);
+
+    // Si el banco no tiene ciclo en el registro de tarjetas, guardamos normal
+    if (!chosen) {
+      return commitPurchase(ctx, key, purchase);
+    }
+
+    // Saldo usado por tarjeta (si la hoja no responde, seguimos sin ese dato)
+    let purchases = [];
+    try {
+      purchases = await ledger.list();
+    } catch (e) {
+      console.error("No se pudo leer el saldo de tarjetas:", e.message);
+    }
+
+    const scored = scoreCardForPurchase(purchase.bank, purchase, asOf, purchases);
+    const chosenCredit = scored.credit;
+
+    // 3) Ranking por score (excluimos la elegida y las que no tienen crédito suficiente)
+    const ranking = rankCardsForPurchase(purchase, asOf, purchases, [purchase.bank]);
+    const bestAlt = ranking[0]; // mejor alternativa disponible
+
+    const betterAlt =
+      bestAlt && bestAlt.score - scored.score >= getImprovementThreshold(purchase.amount) &&
+      explainAdvantage(bestAlt, scored, purchase.months).length > 0;
+    const creditIssue =
+      chosenCredit && (chosenCredit.exceeds || chosenCredit.overThreshold);
+
+    /**
+     * Disparador de advertencia:
+     * - Si existe alternativa con mejor score (>= el equivalente a
+     *   IMPROVEMENT_THRESHOLD_DAYS días), o
+     * - si la tarjeta elegida se pasa del crédito / del % de uso configurado
+     * Importante:
+     * - Solo advertimos 1 vez por compra (stage !== "WARNED")
+     */
+    const shouldWarn = (betterAlt || creditIssue) && pending.stage !== "WARNED";
+
+    if (shouldWarn) {
+      pending.stage = "WARNED";
+      await pendingPurchases.set(key, pending);
+
+      // Top 3 recomendaciones (o menos si no hay suficientes).
+      // Si hay alternativa mejor, solo se listan las que superan a la elegida.
+      const top3 = ranking
+        .filter((x) => !betterAlt || x.score > scored.score)
+        .slice(0, 3)
+        .map((x) => {
+          const why = explainAdvantage(x, scored, purchase.months);
+          return (
+            `• ${x.bank}: ${x.daysToPay} días (límite ${formatDateDMY(x.dueDate)})` +
+            describeCredit(x.credit) +
+            (why.length ? `\n   ↳ ${why.join("; ")}` : "")
+          );
+        })
+        .join("\n");
+
+      let creditLine = "";
+      if (chosenCredit && chosenCredit.exceeds) {
+        creditLine =
+          `🚫 La compra *excede* el crédito disponible de ${purchase.bank} ` +
+          `(disp. ${formatMoney(chosenCredit.available)} de ${formatMoney(chosenCredit.limit)}).\n\n`;
+      } else if (chosenCredit && chosenCredit.overThreshold) {
+        creditLine =
+          `⚠️ Con esta compra ${purchase.bank} quedaría al *${Math.round(chosenCredit.utilization)}%* ` +
+          `de uso (umbral ${UTILIZATION_WARN_PCT}%).\n\n`;
+      }
+
+      const altTitle = betterAlt
+        ? `Para esta compra hoy te conviene usar:\n`
+        : `Alternativas con crédito disponible:\n`;
+
+      const msg =
+        `⚠️ *Recomendación de tarjeta*\n\n` +
+        `Con *${purchase.bank}* tendrías aprox. *${chosen.daysToPay} días* para pagar.\n` +
+        `📌 Corte: *${formatDateDMY(chosen.cutDate)}*\n` +
+        `💳 Límite: *${formatDateDMY(chosen.dueDate)}*\n\n` +
+        creditLine +
+        (top3 ? `${altTitle}${top3}\n\n` : "") +
+        `Si aún así deseas guardarla con *${purchase.bank}*, presiona *OK Guardar*.`;
+
+      await ctx.editMessageText(msg, {
+        parse_mode: "Markdown",
+        ...Markup.inlineKeyboard([
+          Markup.button.callback("✅ OK Guardar", `confirm_purchase_ok:${key}`),
+          Markup.button.callback("❌ Cancelar", `cancel_purchase:${key}`),
+        ]),
+      });
+
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    // Si no hay alternativa significativamente mejor -> guardado directo
+    await commitPurchase(ctx, key, purchase);
+  } catch (err) {
+    console.error("Error confirm_purchase:", err);
+    try { await ctx.editMessageText("❌ Error al guardar la compra."); } catch {}
+    try { await ctx.answerCbQuery(); } catch {}
+  }
+});
+
+/**
+ * Segunda confirmación:
+ * Solo se usa cuando ya se mostró la recomendación (stage WARNED).
+ * Aquí ya se guarda definitivamente.
+ */
+bot.action(/^confirm_purchase_ok:(\w+)$/, async (ctx) => {
+  try {
+    const loaded = await loadPendingFromCallback(ctx);
+    if (!loaded) return;
+
+    const { id: key, pending } = loaded;
+    await commitPurchase(ctx, key, pending.data);
+  } catch (err) {
+    console.error("Error confirm_purchase_ok:", err);
+    try { await ctx.editMessageText("❌ Error al guardar la compra."); } catch {}
+    try { await ctx.answerCbQuery(); } catch {}
+  }
+});
+
+/* ============================================================
+ * CATEGORÍA EN EL PREVIEW
+ * ============================================================
+ *
+ * set_category:<id>:<índice en CATEGORIES | x = sin categoría>
+ * pick_category:<id> vuelve a mostrar el selector.
+ */
+bot.action(/^set_category:(\w+):(\d+|x)$/, async (ctx) => {
+  try {
+    const loaded = await loadPendingFromCallback(ctx);
+    if (!loaded) return;
+
+    const { id, pending } = loaded;
+    const choice = ctx.match[2];
+    if (choice !== "x" && !CATEGORIES[Number(choice)]) {
+      return ctx.answerCbQuery("Categoría no disponible.");
+    }
+
+    pending.data.category = choice === "x" ? null : CATEGORIES[Number(choice)];
+    pending.categoryChosen = true;
+    await pendingPurchases.set(id, pending);
+
+    const { text, keyboard } = renderPurchasePreview(id, pending);
+    await ctx.editMessageText(text, { parse_mode: "Markdown", ...keyboard });
+    await ctx.answerCbQuery(pending.data.category || "Sin categoría");
+  } catch (err) {
+    console.error("Error set_category:", err);
+    try { await ctx.answerCbQuery("Error al elegir categoría"); } catch {}
+  }
+});
+
+bot.action(/^pick_category:(\w+)$/, async (ctx) => {
+  try {
+    const loaded = await loadPendingFromCallback(ctx);
+    if (!loaded) return;
+
+    const { id, pending } = loaded;
+    pending.categoryChosen = false;
+    await pendingPurchases.set(id, pending);
+
+    const { text, keyboard } = renderPurchasePreview(id, pending);
+    await ctx.editMessageText(text, { parse_mode: "Markdown", ...keyboard });
+    await ctx.answerCbQuery();
+  } catch (err) {
+    console.error("Error pick_category:", err);
+    try { await ctx.answerCbQuery(); } catch {}
+  }
+});
+
+/* ============================================================
+ * CANCELAR COMPRA
+ * ============================================================
+ */
+
+bot.action(/^cancel_purchase:(\w+)$/, async (ctx) => {
+  const key = ctx.match[1];
+  const pending = await pendingPurchases.get(key);
+
+  if (pending && pending.userId !== ctx.from.id) {
+    await ctx.answerCbQuery("Esta compra la registró otra persona.");
+    return;
+  }
+
+  await pendingPurchases.delete(key);
+  await ctx.editMessageText("❌ Compra cancelada.");
+  await ctx.answerCbQuery();
+});
+
+/**
+ * Botones de versiones anteriores (sin id de compra).
+ * Ya no se puede saber a qué compra apuntan: se pide repetir /compra.
+ */
+bot.action(["confirm_purchase", "confirm_purchase_ok", "cancel_purchase"], async (ctx) => {
+  await ctx.editMessageText("⏱️ Esta confirmación ya no es válida. Envía /compra de nuevo.");
+  await ctx.answerCbQuery();
+});
+
+/* ============================================================
+ * LIMPIEZA AUTOMÁTICA DE PENDIENTES EXPIRADOS
+ * ============================================================
+ */
+
+setInterval(async () => {
+  try {
+    const now = Date.now();
+    for (const [k, v] of await pendingPurchases.entries()) {
+      if (isPendingExpired(v, now)) {
+        await pendingPurchases.delete(k);
+      }
+    }
+  } catch (err) {
+    console.error("Error limpiando pendientes:", err);
+  }
+}, 30 * 1000);
+
+/* ============================================================
+ * REINTENTOS DEL OUTBOX + /pendientes_sync (solo admin)
+ * ============================================================
+ *
+ *   /pendientes_sync        => compras en cola, intentos y último error
+ *   /pendientes_sync ahora  => reintenta toda la cola de inmediato
+ */
+
+setInterval(async () => {
+  try {
+    await flushOutbox();
+  } catch (err) {
+    console.error("Error reintentando el outbox:", err);
+  }
+}, OUTBOX_CHECK_MS);
+
+function describeOutboxEntry(id, entry) {
+  const p = entry.purchase;
+  const next = entry.blocked
+    ? "bloqueada (revisar columnas)"
+    : formatTimeHM(entry.nextAttemptAt, getChatSettings(entry.chatId).timezone);
+  return (
+    `• ${id}: ${p.description} — ${formatMoney(p.amount)}, ${p.months} meses, ${p.bank}\n` +
+    `  Chat ${entry.chatId} · ${p.user} · ${p.date}\n` +
+    `  Intentos: ${entry.attempts} · próximo: ${next}` +
+    (entry.lastError ? `\n  Error: ${entry.lastError}` : "")
+  );
+}
+
+bot.command("pendientes_sync", async (ctx) => {
+  try {
+    const arg = ctx.message.text.replace(/^\/pendientes_sync(@\w+)?\s*/i, "").trim().toLowerCase();
+
+    if (arg === "ahora") {
+      const total = Object.keys(outbox.queue).length;
+      if (!total) return ctx.reply("✅ No hay compras en cola.");
+      const written = await flushOutbox(true);
+      return ctx.reply(`🔄 Reintento: ${written} de ${total} compra(s) guardada(s) en Sheets.`);
+    }
+
+    const entries = Object.entries(outbox.queue);
+    if (!entries.length) return ctx.reply("✅ No hay compras en cola.");
+
+    await ctx.reply(
+      `📥 Compras en cola (${entries.length})\n\n` +
+        entries.map(([id, entry]) => describeOutboxEntry(id, entry)).join("\n\n") +
+        "\n\nReintentar ya: /pendientes_sync ahora"
+    );
+  } catch (err) {
+    console.error("Error /pendientes_sync:", err);
+    ctx.reply("❌ Ocurrió un error leyendo la cola.");
+  }
+});
+
+
+/**
+ * ============================================================
+ * NUEVO COMANDO: /dias
+ * ============================================================
+ *
+ * Objetivo:
+ * - Mostrar cuántos días (estimados) tendrías para pagar si usaras
+ *   HOY cada tarjeta de CREDITO del registro de tarjetas.
+ *
+ * Salida:
+ * - Lista ordenada de MAYOR a MENOR (más días para pagar primero)
+ * - Muestra:
+ *    • BANCO: X días
+ *      Corte: DD/MM/YYYY
+ *      Límite: DD/MM/YYYY
+ *
+ * Notas:
+ * - CAPITAL / PRESTAMO no aplican aquí porque son tipo DIRECTO
+ * - Usa el cálculo de getPaymentWindow() + rankCardsByDaysToPay()
+ */
+bot.command("dias", async (ctx) => {
+  try {
+    const today = chatNow();
+
+    // Ranking: mejor primero (más días para pagar)
+    const ranking = rankCardsByDaysToPay(today);
+
+    if (!ranking.length) {
+      return ctx.reply("❌ No hay tarjetas configuradas para calcular días.");
+    }
+
+    // Construimos mensaje en formato legible (Markdown)
+    const lines = ranking.map((x) => {
+      const cut = formatDateDMY(x.cutDate);
+      const due = formatDateDMY(x.dueDate);
+      return (
+        `• *${x.bank}*: *${x.daysToPay} días*\n` +
+        `  📌 Corte: ${cut}\n` +
+        `  💳 Límite: ${due}`
+      );
+    });
+
+    const msg =
+      `📅 *Días para pagar si usas la tarjeta HOY*\n` +
+      `(ordenado por mayor tiempo)\n\n` +
+      lines.join("\n\n");
+
+    await ctx.replyWithMarkdown(msg);
+  } catch (err) {
+    console.error("Error /dias:", err);
+    ctx.reply("❌ Ocurrió un error calculando los días.");
+  }
+});
+
+
+/**
+ * ============================================================
+ * COMANDO: /compras (LISTADO DE COMPRAS ACTIVAS)
+ * ============================================================
+ *
+ * Lee la hoja y muestra las compras con ESTATUS = ACTIVA, paginadas
+ * con botones ◀️ / ▶️.
+ *
+ * Filtros opcionales (en cualquier orden):
+ *   /compras                     => todas las activas
+ *   /compras bbva                => por banco (si está en el registro)
+ *   /compras 10/2026             => por mes de compra (también 2026-10 u "octubre")
+ *   /compras carlos              => por titular (cualquier otro texto)
+ *   /compras bbva octubre carlos => combinados
+ *
+ * El filtro viaja dentro del callback_data del botón de página
+ * (`compras:<página>:<banco>:<YYYY-MM>:<titular>`), así la paginación
+ * no depende de estado en memoria.
+ */
+const COMPRAS_PAGE_SIZE = 5;
+
+const MONTH_NAMES = [
+  "enero", "febrero", "marzo", "abril", "mayo", "junio",
+  "julio", "agosto", "septiembre", "octubre", "noviembre", "diciembre",
+];
+
+/**
+ * Interpreta un mes escrito por el usuario y lo regresa como "YYYY-MM".
+ * Acepta: 10/2026, 2026-10, octubre, octubre 2026 (year se pasa aparte).
+ * Sin año explícito se asume el año actual.
+ */
+function parseMonthToken(token, year) {
+  const t = String(token || "").toLowerCase();
+  let m = t.match(/^(\d{1,2})\/(\d{4})$/);
+  if (m && +m[1] >= 1 && +m[1] <= 12) return `${m[2]}-${m[1].padStart(2, "0")}`;
+
+  m = t.match(/^(\d{4})-(\d{1,2})$/);
+  if (m && +m[2] >= 1 && +m[2] <= 12) return `${m[1]}-${m[2].padStart(2, "0")}`;
+
+  const idx = MONTH_NAMES.indexOf(t);
+  if (idx === -1) return null;
+  const y = year || chatNow().getFullYear();
+  return `${y}-${String(idx + 1).padStart(2, "0")}`;
+}
+
+/**
+ * Separa los argumentos de /compras en { bank, month, titular }.
+ * El banco se reconoce como en /compra (nombre, alias o parecido, también
+ * de dos palabras: "mercado pago"). suggestions = bancos parecidos a
+ * palabras que quedaron como titular, para avisar si no hay resultados.
+ */
+function parseComprasFilters(args) {
+  const filters = { bank: "", month: "", titular: "", suggestions: [] };
+  const rest = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const token = args[i];
+    const next = args[i + 1];
+
+    if (!filters.bank) {
+      const pair = next ? resolveBank(`${token}${next}`) : {};
+      if (pair.bank) {
+        filters.bank = pair.bank;
+        i++;
+        continue;
+      }
+      const single = resolveBank(token);
+      if (single.bank) {
+        filters.bank = single.bank;
+        continue;
+      }
+      filters.suggestions.push(...(single.suggestions || []));
+    }
+
+    if (!filters.month) {
+      const year = /^\d{4}$/.test(next || "") ? Number(next) : null;
+      const month = parseMonthToken(token, year);
+      if (month) {
+        filters.month = month;
+        if (year && MONTH_NAMES.includes(token.toLowerCase())) i++;
+        continue;
+      }
+    }
+
+    rest.push(token);
+  }
+
+  filters.titular = rest.join(" ");
+  return filters;
+}
+
+// "¿Quisiste decir ...?" para un filtro sin resultados (vacío si no aplica)
+function describeBankSuggestions(filters) {
+  const banks = [...new Set(filters.suggestions || [])];
+  return !filters.bank && banks.length ? `\n\n🤔 ¿Quisiste decir ${banks.join(" o ")}?` : "";
+}
+
+/**
+ * Arma el callback_data de una página respetando el límite de 64 bytes
+ * de Telegram (si hace falta se recorta el titular; el filtro es por
+ * "contiene", así que sigue funcionando).
+ */
+function buildComprasCallback(page, filters) {
+  let titular = filters.titular.replace(/:/g, " ");
+  let data = `compras:${page}:${filters.bank}:${filters.month}:${titular}`;
+  while (Buffer.byteLength(data) > 64 && titular) {
+    titular = titular.slice(0, -1);
+    data = `compras:${page}:${filters.bank}:${filters.month}:${titular}`;
+  }
+  return data;
+}
+
+/**
+ * Lee la hoja, aplica filtros y construye el mensaje + teclado de una página.
+ */
+async function buildComprasPage(page, filters) {
+  const purchases = (await ledger.list()).filter((p) => {
+    if (p.status !== "ACTIVA") return false;
+    if (filters.bank && p.bank !== filters.bank) return false;
+    if (filters.titular && !p.user.toLowerCase().includes(filters.titular.toLowerCase())) {
+      return false;
+    }
+    if (filters.month) {
+      const d = parseDateDMY(p.date);
+      if (!d || toISODate(d).slice(0, 7) !== filters.month) return false;
+    }
+    return true;
+  });
+
+  const filterText = [
+    filters.bank && `🏦 ${filters.bank}`,
+    filters.month && `📅 ${filters.month}`,
+    filters.titular && `👤 ${escapeMarkdown(filters.titular)}`,
+  ].filter(Boolean).join(" · ");
+
+  if (!purchases.length) {
+    return {
+      text:
+        "ℹ️ No hay compras activas" +
+        (filterText ? ` con filtro ${filterText}` : "") +
+        "." +
+        describeBankSuggestions(filters),
+      keyboard: null,
+    };
+  }
+
+  const totalPages = Math.ceil(purchases.length / COMPRAS_PAGE_SIZE);
+  const current = Math.min(Math.max(page, 0), totalPages - 1);
+  const start = current * COMPRAS_PAGE_SIZE;
+  const items = purchases.slice(start, start + COMPRAS_PAGE_SIZE);
+
+  const totalRemaining = purchases.reduce(
+    (sum, p) => sum + (p.remaining ?? p.amount ?? 0),
+    0
+  );
+
+  const lines = items.map((p, i) => {
+    const monthly = p.monthly !== null ? ` · ${formatMoney(p.monthly)}/mes` : "";
+    const remaining = p.remaining !== null ? formatMoney(p.remaining) : "—";
+    const labels = [p.category, formatTags(p.tags)].filter(Boolean).join(" ");
+    return (
+      `*${start + i + 1}. ${escapeMarkdown(p.description)}* (fila ${p.rowNumber})\n` +
+      `   🏦 ${p.bank} · 👤 ${escapeMarkdown(p.user)} · 📅 ${p.date}\n` +
+      `   💰 ${formatMoney(p.amount)} · ${p.months || "?"} meses${monthly}\n` +
+      `   🧮 Restante: ${remaining}` +
+      (labels ? `\n   🏷️ ${escapeMarkdown(labels)}` : "")
+    );
+  });
+
+  const text =
+    `🧾 *Compras activas*` + (filterText ? ` (${filterText})` : "") + `\n` +
+    `Mostrando ${start + 1}-${start + items.length} de ${purchases.length} · ` +
+    `Restante total: *${formatMoney(totalRemaining)}*\n\n` +
+    lines.join("\n\n");
+
+  const nav = [];
+  if (current > 0) {
+    nav.push(Markup.button.callback("◀️ Anterior", buildComprasCallback(current - 1, filters)));
+  }
+  if (current < totalPages - 1) {
+    nav.push(Markup.button.callback("Siguiente ▶️", buildComprasCallback(current + 1, filters)));
+  }
+
+  return {
+    text: text + `\n\nPágina ${current + 1}/${totalPages}`,
+    keyboard: nav.length ? Markup.inlineKeyboard(nav) : null,
+  };
+}
+
+bot.command("compras", async (ctx) => {
+  try {
+    const args = ctx.message.text
+      .replace(/^\/compras(@\w+)?\s*/i, "")
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const { text, keyboard } = await buildComprasPage(0, parseComprasFilters(args));
+    await ctx.replyWithMarkdown(text, keyboard || undefined);
+  } catch (err) {
+    console.error("Error /compras:", err);
+    ctx.reply("❌ Ocurrió un error leyendo las compras.");
+  }
+});
+
+bot.action(/^compras:(\d+):([^:]*):([^:]*):(.*)$/, async (ctx) => {
+  try {
+    const filters = { bank: ctx.match[2], month: ctx.match[3], titular: ctx.match[4] };
+    const { text, keyboard } = await buildComprasPage(Number(ctx.match[1]), filters);
+
+    await ctx.editMessageText(text, { parse_mode: "Markdown", ...(keyboard || {}) });
+    await ctx.answerCbQuery();
+  } catch (err) {
+    console.error("Error paginando /compras:", err);
+    try { await ctx.answerCbQuery("❌ Error leyendo las compras."); } catch {}
+  }
+});
+
+
+/**
+ * ============================================================
+ * COMANDOS: /editar, /liquidar, /borrar (COMPRAS EXISTENTES)
+ * ============================================================
+ *
+ * Modifican una fila ya guardada, en su lugar:
+ *
+ *   /editar <fila> monto=9500 meses=6 banco=bbva descripcion=Pantalla 85
+ *   /liquidar <fila>   => ESTATUS = LIQUIDADA
+ *   /borrar <fila>     => ESTATUS = CANCELADA (la fila no se elimina)
+ *
+ * Sin <fila> se muestra una lista de compras activas para elegir
+ * (acepta los mismos filtros que /compras).
+ *
+ * Igual que /compra: primero se muestra antes/después con
+ * ✅ Confirmar / ❌ Cancelar y solo al confirmar se escribe en Sheets.
+ * Al confirmar se relee la fila y, si cambió mientras tanto, se aborta.
+ */
+const ROW_ACTIONS = {
+  editar:   { title: "✏️ *Editar compra*" },
+  liquidar: { title: "💸 *Liquidar compra*", status: "LIQUIDADA" },
+  borrar:   { title: "🗑️ *Cancelar compra*", status: "CANCELADA" },
+};
+
+/**
+ * Campos editables con /editar (nombre en el comando -> llave + validación).
+ * parse regresa el valor normalizado, null si es inválido o { error } si
+ * hay algo mejor que decir (ej. sugerencias de banco).
+ */
+const EDIT_FIELDS = {
+  descripcion: { key: "description", label: "Descripción", parse: (v) => v.trim() || null },
+  titular:     { key: "user",        label: "Titular",     parse: (v) => v.trim() || null },
+  fecha:       { key: "date",        label: "F. compra",   parse: (v) => (parseDateDMY(v) ? formatDateDMY(parseDateDMY(v)) : null) },
+  monto: {
+    key: "amount",
+    label: "Monto",
+    parse: (v) => {
+      const n = Number(v.replace(/[$,]/g, ""));
+      return Number.isFinite(n) && n > 0 ? n : null;
+    },
+  },
+  meses: {
+    key: "months",
+    label: "Meses",
+    parse: (v) => {
+      const n = Number(v);
+      return Number.isInteger(n) && n > 0 && n <= 60 ? n : null;
+    },
+  },
+  banco: {
+    key: "bank",
+    label: "Banco",
+    // Igual que /compra: nombre, alias o parecido; se guarda la llave del registro
+    parse: (v) => {
+      const { bank, suggestions = [] } = resolveBank(v.trim());
+      if (bank) return bank;
+      return {
+        error:
+          `No reconozco el banco "${v.trim()}".\n\n` +
+          (suggestions.length
+            ? `🤔 ¿Quisiste decir ${suggestions.join(" o ")}?`
+            : `🏦 Registrados: ${Object.keys(getCardRegistry()).join(", ")}`),
+      };
+    },
+  },
+  // "-" quita la categoría
+  categoria: {
+    key: "category",
+    label: "Categoría",
+    parse: (v) => (v.trim() === "-" ? "" : resolveCategory(v)),
+  },
+};
+
+const FIELD_LABELS = {
+  ...Object.fromEntries(Object.values(EDIT_FIELDS).map((f) => [f.key, f.label])),
+  status: "Estatus",
+};
+
+/**
+ * Parsea "campo=valor campo2=valor con espacios" de /editar.
+ * Regresa { changes } o { error }.
+ */
+function parseEditArgs(text) {
+  const changes = {};
+  const re = /(\w+)=([\s\S]*?)(?=\s+\w+=|$)/g;
+  let m;
+  let found = false;
+
+  while ((m = re.exec(text)) !== null) {
+    found = true;
+    const field = EDIT_FIELDS[m[1].toLowerCase()];
+    if (!field) return { error: `Campo desconocido: ${m[1]}` };
+
+    const value = field.parse(m[2]);
+    if (value === null) return { error: `Valor inválido para ${m[1]}: ${m[2]}` };
+    if (value.error) return { error: value.error };
+    changes[field.key] = value;
+  }
+
+  if (!found) return { error: "Indica al menos un campo=valor." };
+  return { changes };
+}
+
+/**
+ * Texto corto de una compra para botones y encabezados.
+ */
+function describePurchaseShort(p) {
+  const desc = p.description.length > 22 ? p.description.slice(0, 21) + "…" : p.description;
+  return `#${p.rowNumber} ${desc} · ${formatMoney(p.amount)} · ${p.bank}`;
+}
+
+/**
+ * Muestra la lista de compras activas como botones para elegir fila.
+ */
+async function replyRowPicker(ctx, action, args) {
+  const filters = parseComprasFilters(args);
+  const purchases = (await ledger.list()).filter(
+    (p) =>
+      p.status === "ACTIVA" &&
+      (!filters.bank || p.bank === filters.bank) &&
+      (!filters.titular || p.user.toLowerCase().includes(filters.titular.toLowerCase())) &&
+      (!filters.month || toISODate(parseDateDMY(p.date) || new Date(0)).slice(0, 7) === filters.month)
+  );
+
+  if (!purchases.length) {
+    return ctx.reply("ℹ️ No hay compras activas con ese filtro." + describeBankSuggestions(filters));
+  }
+
+  const MAX_BUTTONS = 10;
+  const shown = purchases.slice(-MAX_BUTTONS).reverse(); // más recientes primero
+
+  await ctx.reply(
+    `Elige la compra a ${action}:` +
+      (purchases.length > MAX_BUTTONS
+        ? `\n(mostrando las ${MAX_BUTTONS} más recientes de ${purchases.length}; filtra como en /compras)`
+        : ""),
+    Markup.inlineKeyboard(
+      shown.map((p) => [
+        Markup.button.callback(describePurchaseShort(p), `pick_row:${action}:${p.rowNumber}`),
+      ])
+    )
+  );
+}
+
+/**
+ * Construye el preview antes/después y guarda el cambio como pendiente.
+ * Regresa { text, keyboard } o { error }.
+ */
+async function prepareRowChange(ctx, action, rowNumber, changes) {
+  const before = await ledger.get(rowNumber);
+  if (!before) return { error: `❌ No encontré una compra en la fila ${rowNumber}.` };
+
+  if (ROW_ACTIONS[action].status) {
+    if (before.status !== "ACTIVA") {
+      return { error: `❌ La compra de la fila ${rowNumber} ya está ${before.status}.` };
+    }
+    changes = { status: ROW_ACTIONS[action].status };
+  }
+
+  const diff = Object.entries(changes)
+    .filter(([field, value]) => String(before[field]) !== String(value))
+    .map(([field, value]) => {
+      const fmt = (v) =>
+        field === "amount" ? formatMoney(v) : v === "" ? "—" : escapeMarkdown(v);
+      return `• ${FIELD_LABELS[field]}: ${fmt(before[field])} → *${fmt(value)}*`;
+    });
+
+  if (!diff.length) return { error: "ℹ️ No hay cambios: los valores son iguales." };
+
+  const id = newPurchaseId();
+  await pendingPurchases.set(id, {
+    kind: "EDICION",
+    data: { rowNumber, before, changes },
+    createdAt: Date.now(),
+    stage: "PREVIEW",
+    chatId: ctx.chat.id,
+    userId: ctx.from.id,
+  });
+
+  const text =
+    `${ROW_ACTIONS[action].title} (fila ${rowNumber})\n\n` +
+    `📌 ${escapeMarkdown(before.description)}\n` +
+    `🏦 ${before.bank} · 👤 ${escapeMarkdown(before.user)} · 📅 ${before.date}\n\n` +
+    diff.join("\n");
+
+  const keyboard = Markup.inlineKeyboard([
+    Markup.button.callback("✅ Confirmar", `confirm_edit:${id}`),
+    Markup.button.callback("❌ Cancelar", `cancel_edit:${id}`),
+  ]);
+
+  return { text, keyboard };
+}
+
+/**
+ * Handler común de /editar, /liquidar y /borrar.
+ */
+function rowCommand(action) {
+  return async (ctx) => {
+    try {
+      const rest = ctx.message.text.replace(/^\/\w+(@\w+)?\s*/i, "");
+      const rowMatch = rest.match(/^(\d+)(?:\s+|$)/);
+
+      // Sin fila: lista para elegir
+      if (!rowMatch) {
+        return replyRowPicker(ctx, action, rest.split(/\s+/).filter(Boolean));
+      }
+
+      const rowNumber = Number(rowMatch[1]);
+      if (rowNumber < 2) return ctx.reply("❌ La fila 1 es el encabezado.");
+
+      let changes = {};
+      if (action === "editar") {
+        const parsed = parseEditArgs(rest.slice(rowMatch[0].length));
+        if (parsed.error) {
+          return ctx.reply(
+            `❌ ${parsed.error}\n\n📌 Campos: ${Object.keys(EDIT_FIELDS).join(", ")}\n` +
+              `🧾 Ejemplo:\n/editar ${rowNumber} monto=9500 banco=bbva`
+          );
+        }
+        changes = parsed.changes;
+      }
+
+      const result = await prepareRowChange(ctx, action, rowNumber, changes);
+      if (result.error) return ctx.reply(result.error);
+
+      await ctx.replyWithMarkdown(result.text, result.keyboard);
+    } catch (err) {
+      console.error(`Error /${action}:`, err);
+      ctx.reply("❌ Ocurrió un error preparando el cambio.");
+    }
+  };
+}
+
+bot.command("editar", rowCommand("editar"));
+bot.command("liquidar", rowCommand("liquidar"));
+bot.command("borrar", rowCommand("borrar"));
+
+/**
+ * Se eligió una fila de la lista.
+ * - liquidar / borrar: se muestra el preview directamente
+ * - editar: se indica cómo enviar los cambios para esa fila
+ */
+bot.action(/^pick_row:(editar|liquidar|borrar):(\d+)$/, async (ctx) => {
+  try {
+    const action = ctx.match[1];
+    const rowNumber = Number(ctx.match[2]);
+
+    if (action === "editar") {
+      await ctx.editMessageText(
+        `✏️ Fila ${rowNumber} seleccionada. Envía los cambios así:\n\n` +
+          `/editar ${rowNumber} monto=9500 meses=6 banco=bbva\n\n` +
+          `📌 Campos: ${Object.keys(EDIT_FIELDS).join(", ")}`
+      );
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    const result = await prepareRowChange(ctx, action, rowNumber, {});
+    if (result.error) {
+      await ctx.editMessageText(result.error);
+    } else {
+      await ctx.editMessageText(result.text, { parse_mode: "Markdown", ...result.keyboard });
+    }
+    await ctx.answerCbQuery();
+  } catch (err) {
+    console.error("Error pick_row:", err);
+    try { await ctx.answerCbQuery("❌ Error leyendo la compra."); } catch {}
+  }
+});
+
+bot.action(/^confirm_edit:(\w+)$/, async (ctx) => {
+  try {
+    const loaded = await loadPendingFromCallback(ctx, "EDICION");
+    if (!loaded) return;
+
+    const { id, pending } = loaded;
+    const { rowNumber, before, changes } = pending.data;
+
+    // La fila pudo moverse/cambiar desde el preview: verificamos antes de escribir
+    const current = await ledger.get(rowNumber);
+    const unchanged =
+      current &&
+      ["description", "user", "date", "status", "amount", "months", "bank"].every(
+        (f) => String(current[f]) === String(before[f])
+      );
+
+    if (!unchanged) {
+      await pendingPurchases.delete(id);
+      await ctx.editMessageText(
+        `⚠️ La fila ${rowNumber} cambió desde el preview. No se modificó nada; vuelve a intentarlo.`
+      );
+      await ctx.answerCbQuery();
+      return;
+    }
+
+    await ledger.update(rowNumber, changes);
+    await pendingPurchases.delete(id);
+
+    await ctx.editMessageText(`✅ Fila ${rowNumber} actualizada.`);
+    await ctx.answerCbQuery();
+  } catch (err) {
+    console.error("Error confirm_edit:", err);
+    try { await ctx.editMessageText("❌ Error al actualizar la compra."); } catch {}
+    try { await ctx.answerCbQuery(); } catch {}
+  }
+});
+
+bot.action(/^cancel_edit:(\w+)$/, async (ctx) => {
+  const key = ctx.match[1];
+  const pending = await pendingPurchases.get(key);
+
+  if (pending && pending.userId !== ctx.from.id) {
+    await ctx.answerCbQuery("Este cambio lo pidió otra persona.");
+    return;
+  }
+
+  await pendingPurchases.delete(key);
+  await ctx.editMessageText("❌ Cambio cancelado.");
+  await ctx.answerCbQuery();
+});
+
+
+/**
+ * ============================================================
+ * COMANDO: /estado <banco> [mes] (PROYECCIÓN DEL ESTADO DE CUENTA)
+ * ============================================================
+ *
+ * Responde "¿de cuánto será el estado de cuenta de X tarjeta?":
+ * - Toma las compras ACTIVAS de la hoja (monto, meses, F. compra)
+ * - Reparte sus mensualidades en los cortes de la tarjeta
+ * - Suma las que caen en el estado pedido
+ *
+ *   /estado bbva             => próximo corte (desde HOY)
+ *   /estado bbva diciembre   => estado con corte en diciembre
+ *   /estado bbva 01/2027     => también 2027-01
+ */
+bot.command("estado", async (ctx) => {
+  try {
+    const args = ctx.message.text
+      .replace(/^\/estado(@\w+)?\s*/i, "")
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const bank = (args[0] || "").toUpperCase();
+    if (!bank) {
+      return ctx.reply("📌 Uso: /estado <banco> [mes]\n\n🧾 Ejemplo:\n/estado bbva noviembre");
+    }
+    if (!getCardCycle(bank)) {
+      return ctx.reply(`❌ ${bank} no es una tarjeta de CREDITO registrada (ver /tarjeta listar).`);
+    }
+
+    // Sin mes => el estado del próximo corte (mismo ciclo que getPaymentWindow)
+    const windowInfo = getPaymentWindow(bank, chatNow());
+    let period = windowInfo.period;
+
+    if (args[1]) {
+      const year = /^\d{4}$/.test(args[2] || "") ? Number(args[2]) : null;
+      period = parseMonthToken(args[1], year);
+      if (!period) return ctx.reply(`❌ Mes inválido: ${args[1]}`);
+    }
+
+    const purchases = await ledger.list();
+    const statement = projectStatement(bank, period, purchases);
+
+    const lines = statement.items.map(
+      (x) =>
+        `• ${escapeMarkdown(x.purchase.description)} (${x.n}/${x.months}): ` +
+        `${formatMoney(x.amount)}`
+    );
+
+    const daysLeft =
+      period === windowInfo.period ? ` (en ${windowInfo.daysToPay} días)` : "";
+
+    const msg =
+      `💳 *Estado ${bank}* — periodo ${period}\n\n` +
+      `📌 Corte: *${formatDateDMY(statement.cutDate)}*\n` +
+      `💳 Límite de pago: *${formatDateDMY(statement.dueDate)}*${daysLeft}\n` +
+      `💰 Total a pagar: *${formatMoney(statement.total)}*\n\n` +
+      (lines.length
+        ? `🧾 Desglose:\n${lines.join("\n")}`
+        : "ℹ️ Ninguna compra activa cae en este estado de cuenta.");
+
+    await ctx.replyWithMarkdown(msg);
+  } catch (err) {
+    console.error("Error /estado:", err);
+    ctx.reply("❌ Ocurrió un error proyectando el estado de cuenta.");
+  }
+});
+
+
+/**
+ * ============================================================
+ * COMANDO: /plan <fila|id> (CALENDARIO DE MENSUALIDADES)
+ * ============================================================
+ *
+ * Muestra el plan de pagos que el Sheet resume en RESTANTE / PAGO X MES /
+ * F. INICIO / F. FIN: cada mensualidad con el estado de cuenta (corte)
+ * en el que cae, su fecha límite y lo que queda después de pagarla.
+ * El preview de /compra incluye el mismo plan para compras a meses.
+ *
+ *   /plan 12              => fila 12
+ *   /plan 3f9a1c2b7d10    => por ID (columna ID)
+ */
+
+// Más mensualidades que esto se recortan (el mensaje de Telegram tiene límite)
+const PLAN_MAX_LINES = 24;
+
+/**
+ * "12 x $750.00" o, con residuo de centavos, "2 x $333.33, 1ra de $333.34"
+ * (el residuo va donde lo pone splitInstallments para esa tarjeta).
+ */
+function formatInstallmentSplit(amounts, bank) {
+  const oddIdx = getInstallmentRemainder(bank) === "PRIMERA" ? 0 : amounts.length - 1;
+  const common = amounts[oddIdx === 0 ? amounts.length - 1 : 0];
+  if (amounts[oddIdx] === common) return `${amounts.length} x ${formatMoney(common)}`;
+  return (
+    `${amounts.length - 1} x ${formatMoney(common)}, ` +
+    `${oddIdx === 0 ? "1ra" : "última"} de ${formatMoney(amounts[oddIdx])}`
+  );
+}
+
+/**
+ * Texto del plan de pagos de una compra (Markdown).
+ * Las mensualidades con límite anterior a hoy se marcan como vencidas (✔️).
+ */
+function formatInstallmentPlan(purchase, today = normalizeToDay()) {
+  const schedule = getInstallmentSchedule(purchase);
+  const payments = schedule.length ? schedule : getLedgerPayments(purchase);
+  if (!payments.length) return "ℹ️ No se pudo calcular el plan (faltan monto, meses o fecha).";
+
+  let left = Number(purchase.amount);
+  const lines = payments.map((x, i) => {
+    left = Math.round((left - x.amount) * 100) / 100;
+    const cut = x.cutDate ? `corte ${formatDateDMY(x.cutDate)} · ` : "";
+    return (
+      `${x.dueDate < today ? "✔️" : "▫️"} ${i + 1}/${payments.length} ${formatMoney(x.amount)} · ` +
+      `${cut}límite ${formatDateDMY(x.dueDate)} · quedan ${formatMoney(left)}`
+    );
+  });
+
+  const shown =
+    lines.length > PLAN_MAX_LINES
+      ? [...lines.slice(0, PLAN_MAX_LINES - 2), "…", ...lines.slice(-1)]
+      : lines;
+
+  const header = formatInstallmentSplit(payments.map((x) => x.amount), purchase.bank);
+
+  return `🗓️ *Plan de pagos* (${header})\n${shown.join("\n")}`;
+}
+
+bot.command("plan", async (ctx) => {
+  try {
+    const arg = ctx.message.text.replace(/^\/plan(@\w+)?\s*/i, "").trim();
+    if (!arg) {
+      return ctx.reply("📌 Uso: /plan <fila|id>\n\n🧾 Ejemplo:\n/plan 12");
+    }
+
+    const purchase = /^\d+$/.test(arg)
+      ? await ledger.get(Number(arg))
+      : (await ledger.list()).find((p) => p.id === arg);
+    if (!purchase) return ctx.reply(`❌ No encontré la compra ${arg}.`);
+
+    const status =
+      purchase.status === "ACTIVA"
+        ? `🧮 Restante: *${formatMoney(purchase.remaining ?? purchase.amount)}*`
+        : `📌 Estatus: *${purchase.status}* (ya no genera pagos)`;
+
+    await ctx.replyWithMarkdown(
+      `📌 *${escapeMarkdown(purchase.description)}* (fila ${purchase.rowNumber})\n` +
+        `💰 ${formatMoney(purchase.amount)} · ${purchase.months} meses · ${purchase.bank} · ` +
+        `📅 ${purchase.date}\n${status}\n\n` +
+        formatInstallmentPlan(purchase)
+    );
+  } catch (err) {
+    console.error("Error /plan:", err);
+    ctx.reply("❌ Ocurrió un error calculando el plan de pagos.");
+  }
+});
+
+
+/**
+ * ============================================================
+ * COMANDO: /credito (SALDO USADO Y DISPONIBLE)
+ * ============================================================
+ *
+ * Muestra, para cada tarjeta con línea de crédito registrada
+ * (/tarjeta editar <banco> credito=<monto>), el saldo usado por
+ * compras ACTIVAS, el disponible y el % de uso.
+ */
+bot.command("credito", async (ctx) => {
+  try {
+    const purchases = await ledger.list();
+
+    const lines = Object.keys(getCardRegistry())
+      .map((bank) => ({ bank, status: getCreditStatus(bank, purchases) }))
+      .filter((x) => x.status)
+      .sort((a, b) => b.status.utilization - a.status.utilization)
+      .map(({ bank, status }) =>
+        `• *${bank}*: ${Math.round(status.utilization)}% de uso` +
+        (status.overThreshold ? " ⚠️" : "") + `\n` +
+        `  Usado ${formatMoney(status.used)} · Disponible ${formatMoney(status.available)}` +
+        ` de ${formatMoney(status.limit)}`
+      );
+
+    if (!lines.length) {
+      return ctx.reply(
+        "ℹ️ Ninguna tarjeta tiene línea de crédito registrada.\n" +
+          "Agrégala con: /tarjeta editar <banco> credito=<monto>"
+      );
+    }
+
+    await ctx.replyWithMarkdown(
+      `💳 *Crédito por tarjeta* (alerta arriba de ${UTILIZATION_WARN_PCT}%)\n\n` +
+        lines.join("\n\n")
+    );
+  } catch (err) {
+    console.error("Error /credito:", err);
+    ctx.reply("❌ Ocurrió un error calculando el crédito.");
+  }
+});
+
+
+/**
+ * ============================================================
+ * COMANDO: /mejor <monto> <meses>
+ * ============================================================
+ *
+ * Variante de /dias para una compra concreta: ordena las tarjetas por
+ * el score del motor de recomendación (días, MSI, cashback, intereses
+ * y uso de crédito) y explica los factores de cada una.
+ */
+bot.command("mejor", async (ctx) => {
+  try {
+    const args = ctx.message.text
+      .replace(/^\/mejor(@\w+)?\s*/i, "")
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const amount = parseAmountToken(args[0] || "");
+    const months = args[1] ? Number(args[1]) : 1;
+
+    if (!amount || !Number.isInteger(months) || months <= 0 || months > 60) {
+      return ctx.reply("📌 Uso: /mejor <monto> <meses>\n\n🧾 Ejemplo:\n/mejor 9000 12");
+    }
+
+    // Para el crédito disponible; si la hoja falla se recomienda sin ese dato
+    let purchases = [];
+    try {
+      purchases = await ledger.list();
+    } catch (e) {
+      console.error("No se pudo leer el saldo de tarjetas:", e.message);
+    }
+
+    const purchase = { amount: amount.value, months };
+    const all = listCycleBanks()
+      .map((bank) => scoreCardForPurchase(bank, purchase, chatNow(), purchases))
+      .filter(Boolean);
+    const ranking = rankCardsForPurchase(purchase, chatNow(), purchases);
+    const excluded = all.filter((x) => x.excluded).map((x) => x.bank);
+
+    if (!ranking.length) {
+      return ctx.reply("❌ Ninguna tarjeta registrada tiene crédito suficiente para esta compra.");
+    }
+
+    const lines = ranking.map(
+      (x, i) =>
+        `${i + 1}. *${x.bank}*: beneficio ≈ *${formatMoney(x.score)}*\n` +
+        `   ${describeScore(x, months)}\n` +
+        `   📌 Corte ${formatDateDMY(x.cutDate)} · 💳 Límite ${formatDateDMY(x.dueDate)}`
+    );
+
+    const msg =
+      `🏆 *Mejor tarjeta para ${formatMoney(amount.value)} a ${months} mes(es)*\n` +
+      `(beneficio neto estimado: días para pagar + cashback − intereses)\n\n` +
+      lines.join("\n\n") +
+      (excluded.length ? `\n\n🚫 Sin crédito suficiente: ${excluded.join(", ")}` : "");
+
+    await ctx.replyWithMarkdown(msg);
+  } catch (err) {
+    console.error("Error /mejor:", err);
+    ctx.reply("❌ Ocurrió un error calculando la mejor tarjeta.");
+  }
+});
+
+/**
+ * ============================================================
+ * COMANDO: /simular <monto> <meses> [descripción] (NO GUARDA NADA)
+ * ============================================================
+ *
+ * Antes de una compra grande muestra, para cada tarjeta con ciclo:
+ * - días para pagar (getPaymentWindow) y la mensualidad resultante
+ * - cómo quedarían los próximos SIMULATION_STATEMENTS estados de cuenta
+ *   con las compras ACTIVAS + la simulada (total y diferencia)
+ * - el crédito disponible después
+ *
+ * Termina con botones "Registrar con X" que abren el preview normal
+ * de /compra (categoría, confirmación, recomendación...).
+ */
+const SIMULATION_STATEMENTS = 12;
+
+/**
+ * Bloque de una tarjeta en /simular.
+ */
+function describeSimulation(x, purchase, purchases) {
+  const simulated = { ...purchase, bank: x.bank, status: "ACTIVA" };
+  const installments = formatInstallmentSplit(
+    splitInstallments(purchase.amount, purchase.months, getInstallmentRemainder(x.bank)),
+    x.bank
+  );
+
+  const firstMonth = new Date(Number(x.period.slice(0, 4)), Number(x.period.slice(5)) - 1, 1);
+  const statements = [];
+  for (let i = 0; i < SIMULATION_STATEMENTS; i++) {
+    const period = toISODate(addMonths(firstMonth, i)).slice(0, 7);
+    const before = projectStatement(x.bank, period, purchases).total;
+    const after = projectStatement(x.bank, period, [...purchases, simulated]).total;
+    statements.push({
+      month: MONTH_NAMES[Number(period.slice(5)) - 1].slice(0, 3),
+      after: formatChartMoney(after),
+      diff: after !== before ? `+${formatChartMoney(after - before)}` : "",
+    });
+  }
+
+  // Si todos los estados suben lo mismo, la diferencia se dice una sola vez
+  const diffs = new Set(statements.map((st) => st.diff));
+  const sameDiff = diffs.size === 1 ? [...diffs][0] : null;
+  const statementLine =
+    (sameDiff ? `📅 Estados (${sameDiff} c/u): ` : "📅 Estados: ") +
+    statements
+      .map((st) => `${st.month} ${st.after}` + (sameDiff === null && st.diff ? ` (${st.diff})` : ""))
+      .join(" · ");
+
+  const credit = x.credit
+    ? x.credit.exceeds
+      ? `🚫 No cabe: disponible ${formatMoney(x.credit.available)} de ${formatMoney(x.credit.limit)}`
+      : `💳 Disponible después: ${formatMoney(x.credit.availableAfter)} de ${formatMoney(x.credit.limit)} ` +
+        `(uso ${Math.round(x.credit.utilization)}%${x.credit.overThreshold ? " ⚠️" : ""})`
+    : "💳 Sin línea de crédito registrada";
+
+  return (
+    `*${x.bank}*: ${describeScore(x, purchase.months)}\n` +
+    `   🗓️ ${installments} · 📌 Corte ${formatDateDMY(x.cutDate)}\n` +
+    `   ${credit}\n` +
+    `   ${statementLine}`
+  );
+}
+
+bot.command("simular", async (ctx) => {
+  try {
+    const args = ctx.message.text
+      .replace(/^\/simular(@\w+)?\s*/i, "")
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const amount = parseAmountToken(args[0] || "");
+    const months = args[1] ? Number(args[1]) : 1;
+
+    if (!amount || !Number.isInteger(months) || months <= 0 || months > 60) {
+      return ctx.reply(
+        "📌 Uso: /simular <monto> <meses> [descripción]\n\n🧾 Ejemplo:\n/simular 25000 12 Pantalla"
+      );
+    }
+
+    // Estados de cuenta y crédito salen de las compras ACTIVAS
+    const purchases = await ledger.list();
+
+    const purchase = {
+      amount: amount.value,
+      months,
+      date: formatDateDMY(),
+      description: args.slice(2).join(" "),
+    };
+    const cards = listCycleBanks()
+      .map((bank) => scoreCardForPurchase(bank, purchase, chatNow(), purchases))
+      .filter(Boolean)
+      .sort((a, b) => Number(a.excluded) - Number(b.excluded) || b.score - a.score);
+
+    if (!cards.length) return ctx.reply("ℹ️ No hay tarjetas de CREDITO registradas (ver /tarjeta).");
+
+    const id = newPurchaseId();
+    await pendingPurchases.set(id, {
+      kind: "SIMULACION",
+      data: purchase,
+      createdAt: Date.now(),
+      chatId: ctx.chat.id,
+      userId: ctx.from.id,
+    });
+
+    const buttons = cards
+      .filter((x) => !x.excluded)
+      .map((x) => Markup.button.callback(`📝 Registrar con ${x.bank}`, `sim_registrar:${id}:${x.bank}`));
+    const rows = [];
+    for (let i = 0; i < buttons.length; i += 2) rows.push(buttons.slice(i, i + 2));
+
+    // Con muchas tarjetas se parte en varios mensajes (límite de Telegram);
+    // los botones van en el último
+    const messages = [
+      `🧪 *Simulación: ${formatMoney(amount.value)} a ${months} mes(es)*\n` +
+        `(no se guarda nada; estados = próximos ${SIMULATION_STATEMENTS} cortes con la compra incluida)`,
+    ];
+    for (const block of cards.map((x) => describeSimulation(x, purchase, purchases))) {
+      const last = messages.length - 1;
+      if (messages[last].length + block.length > 3500) messages.push(block);
+      else messages[last] += `\n\n${block}`;
+    }
+
+    for (const [i, text] of messages.entries()) {
+      const isLast = i === messages.length - 1;
+      await ctx.replyWithMarkdown(text, isLast && rows.length ? Markup.inlineKeyboard(rows) : undefined);
+    }
+  } catch (err) {
+    console.error("Error /simular:", err);
+    ctx.reply("❌ Ocurrió un error simulando la compra.");
+  }
+});
+
+/**
+ * "Registrar con X": la simulación pasa al flujo normal de /compra.
+ */
+bot.action(/^sim_registrar:(\w+):([A-Z0-9_]+)$/, async (ctx) => {
+  try {
+    const loaded = await loadPendingFromCallback(ctx, "SIMULACION");
+    if (!loaded) return;
+
+    const { id, pending } = loaded;
+    const bank = ctx.match[2];
+    if (!getCardRegistry()[bank]) return ctx.answerCbQuery(`${bank} ya no está registrada.`);
+
+    await pendingPurchases.delete(id);
+    await ctx.editMessageReplyMarkup(undefined);
+    await ctx.answerCbQuery();
+
+    await sendPurchasePreview(ctx, {
+      date: formatDateDMY(),
+      amount: pending.data.amount,
+      months: pending.data.months,
+      bank,
+      description: pending.data.description || "Compra simulada",
+      user: getTitular(ctx),
+    });
+  } catch (err) {
+    console.error("Error sim_registrar:", err);
+    try { await ctx.answerCbQuery("Error al registrar"); } catch {}
+  }
+});
+
+/**
+ * ============================================================
+ * COMANDO: /resumen [mes|año] [barras|pastel] (REPORTES DE GASTO)
+ * ============================================================
+ *
+ *   /resumen                 => mes actual
+ *   /resumen octubre 2026    => un mes (también 10/2026, 2026-10)
+ *   /resumen 2026            => un año
+ *   /resumen octubre barras  => además envía la gráfica PNG
+ *
+ * Totales por banco y por titular de las compras con F. COMPRA en el
+ * periodo (sin CANCELADAS), cambio contra el periodo anterior y el
+ * compromiso mensual de las compras a meses que siguen activas.
+ * Los botones 📊 / 🥧 generan la gráfica por banco.
+ */
+
+/**
+ * Interpreta los argumentos de /resumen => { key, chart } o { error }.
+ * key = "YYYY-MM" (mes) o "YYYY" (año).
+ */
+function parseResumenArgs(args) {
+  let key = null;
+  let chart = null;
+  let monthToken = null;
+  let year = null;
+
+  for (const token of args.map((t) => t.toLowerCase())) {
+    if (["barras", "barra"].includes(token)) chart = "bar";
+    else if (["pastel", "pay"].includes(token)) chart = "pie";
+    else if (/^\d{4}$/.test(token)) year = Number(token);
+    else if (!monthToken) monthToken = token;
+    else return { error: `No entiendo "${token}".` };
+  }
+
+  if (monthToken) {
+    key = parseMonthToken(monthToken, year);
+    if (!key) return { error: `Mes inválido: ${monthToken}` };
+  } else if (year) {
+    key = String(year);
+  } else {
+    key = toISODate(chatNow()).slice(0, 7);
+  }
+
+  return { key, chart };
+}
+
+function getPreviousPeriodKey(key) {
+  if (key.length === 4) return String(Number(key) - 1);
+  const [y, m] = key.split("-").map(Number);
+  return toISODate(new Date(y, m - 2, 1)).slice(0, 7);
+}
+
+function describePeriod(key) {
+  if (key.length === 4) return key;
+  const [y, m] = key.split("-").map(Number);
+  return `${MONTH_NAMES[m - 1]} ${y}`;
+}
+
+/**
+ * Suma por grupo => [{ label, value, count }] de mayor a menor.
+ */
+function groupTotals(purchases, getLabel) {
+  const groups = new Map();
+  for (const p of purchases) {
+    const label = getLabel(p) || "—";
+    const g = groups.get(label) || { label, value: 0, count: 0 };
+    g.value += p.amount;
+    g.count += 1;
+    groups.set(label, g);
+  }
+  return [...groups.values()].sort((a, b) => b.value - a.value);
+}
+
+/**
+ * Agregados de /resumen para un periodo.
+ */
+function summarizePurchases(purchases, key) {
+  const inPeriod = (k) => (p) => {
+    const date = parseDateDMY(p.date);
+    return p.status !== "CANCELADA" && !!date && toISODate(date).startsWith(k);
+  };
+
+  const current = purchases.filter(inPeriod(key));
+  const total = current.reduce((sum, p) => sum + p.amount, 0);
+  const previousTotal = purchases
+    .filter(inPeriod(getPreviousPeriodKey(key)))
+    .reduce((sum, p) => sum + p.amount, 0);
+
+  // Mensualidades de compras a meses que todavía tienen saldo
+  const commitment = purchases
+    .filter((p) => p.status === "ACTIVA" && p.months > 1 && (p.remaining ?? p.amount) > 0)
+    .reduce((sum, p) => sum + (p.monthly ?? p.amount / p.months), 0);
+
+  return {
+    key,
+    total,
+    count: current.length,
+    previousTotal,
+    change: previousTotal ? ((total - previousTotal) / previousTotal) * 100 : null,
+    commitment,
+    byBank: groupTotals(current, (p) => p.bank),
+    byTitular: groupTotals(current, (p) => p.user),
+    byCategory: groupTotals(current, (p) => p.category || "SIN CATEGORÍA"),
+  };
+}
+
+function formatResumen(summary) {
+  const period = describePeriod(summary.key);
+  const previous = describePeriod(getPreviousPeriodKey(summary.key));
+
+  const groupLines = (groups) =>
+    groups
+      .map(
+        (g) =>
+          `• ${escapeMarkdown(g.label)}: ${formatMoney(g.value)} (${g.count}) · ` +
+          `${Math.round((g.value / summary.total) * 100)}%`
+      )
+      .join("\n");
+
+  const changeLine =
+    summary.change === null
+      ? `📈 Sin compras en ${previous} para comparar`
+      : `📈 vs ${previous}: *${summary.change >= 0 ? "+" : ""}${Math.round(summary.change)}%* ` +
+        `(${formatMoney(summary.previousTotal)})`;
+
+  return (
+    `📊 *Resumen ${period}*\n\n` +
+    `💰 Total: *${formatMoney(summary.total)}* en ${summary.count} compra(s)\n` +
+    `${changeLine}\n` +
+    `🗓️ Compromiso mensual a meses (activo hoy): *${formatMoney(summary.commitment)}*` +
+    (summary.count
+      ? `\n\n🏦 *Por banco*\n${groupLines(summary.byBank)}` +
+        `\n\n👤 *Por titular*\n${groupLines(summary.byTitular)}` +
+        `\n\n🏷️ *Por categoría*\n${groupLines(summary.byCategory)}`
+      : "")
+  );
+}
+
+/**
+ * Gráfica del resumen como PNG, por banco o por categoría (group = "cat").
+ */
+async function replyResumenChart(ctx, summary, chart, group = "bank") {
+  const byCategory = group === "cat";
+  const title = `Gasto por ${byCategory ? "categoria" : "banco"} ${describePeriod(summary.key)}`;
+  const items = byCategory ? summary.byCategory : summary.byBank;
+  const png = chart === "pie" ? renderPieChart(title, items) : renderBarChart(title, items);
+  await ctx.replyWithPhoto({ source: png, filename: `resumen-${summary.key}.png` });
+}
+
+bot.command("resumen", async (ctx) => {
+  try {
+    const args = ctx.message.text
+      .replace(/^\/resumen(@\w+)?\s*/i, "")
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const { key, chart, error } = parseResumenArgs(args);
+    if (error) {
+      return ctx.reply(
+        `❌ ${error}\n\n📌 Uso: /resumen [mes|año] [barras|pastel]\n\n` +
+          "🧾 Ejemplos:\n/resumen\n/resumen septiembre\n/resumen 2026 pastel"
+      );
+    }
+
+    const summary = summarizePurchases(await ledger.list(), key);
+
+    await ctx.replyWithMarkdown(
+      formatResumen(summary),
+      summary.count
+        ? Markup.inlineKeyboard([
+            [
+              Markup.button.callback("📊 Barras", `resumen_png:bar:${key}`),
+              Markup.button.callback("🥧 Pastel", `resumen_png:pie:${key}`),
+            ],
+            [
+              Markup.button.callback("📊 Por categoría", `resumen_png:bar:${key}:cat`),
+              Markup.button.callback("🥧 Por categoría", `resumen_png:pie:${key}:cat`),
+            ],
+          ])
+        : undefined
+    );
+
+    if (chart && summary.count) await replyResumenChart(ctx, summary, chart);
+  } catch (err) {
+    console.error("Error /resumen:", err);
+    ctx.reply("❌ Ocurrió un error generando el resumen.");
+  }
+});
+
+bot.action(/^resumen_png:(bar|pie):(\d{4}(?:-\d{2})?)(?::(cat))?$/, async (ctx) => {
+  try {
+    await ctx.answerCbQuery("Generando gráfica…");
+    const summary = summarizePurchases(await ledger.list(), ctx.match[2]);
+    if (!summary.count) return ctx.reply("ℹ️ No hay compras en ese periodo.");
+    await replyResumenChart(ctx, summary, ctx.match[1], ctx.match[3] ? "cat" : "bank");
+  } catch (err) {
+    console.error("Error resumen_png:", err);
+    try { await ctx.reply("❌ No se pudo generar la gráfica."); } catch {}
+  }
+});
+
+
+/**
+ * ============================================================
+ * COMANDO: /tarjeta (REGISTRO DE TARJETAS)
  * ============================================================
+ *
+ * Permite mantener el registro de tarjetas sin redeploy:
+ *
+ *   /tarjeta listar
+ *   /tarjeta agregar <banco> <corte> <límite> <offset>
+ *   /tarjeta agregar <banco> directo
+ *   /tarjeta editar <banco> corte=<n> limite=<n> offset=<0|1> tipo=<CREDITO|DIRECTO>
+ *   /tarjeta editar <banco> ajustecorte=<regla> ajustelimite=<regla> feriados=<MM-DD,...>
+ *   /tarjeta editar <banco> alias=<ALIAS1,ALIAS2> terminacion=<1234,5678>
+ *   /tarjeta editar <banco> credito=<línea de crédito>
+ *   /tarjeta editar <banco> msi=<3,6,12> cashback=<%> tasa=<% anual>
+ *   /tarjeta editar <banco> residuo=<PRIMERA|ULTIMA>
+ *   /tarjeta borrar <banco>
+ *
+ * <regla> = NINGUNO | SIGUIENTE | ANTERIOR (día hábil). Con "-" se limpia una lista
+ * (feriados=-, alias=-, terminacion=-, credito=-, msi=-, tasa=-, residuo=-).
+ *
+ * Los cambios se guardan en tarjetas.json y se usan de inmediato en
+ * getPaymentWindow(), rankCardsByDaysToPay(), /dias y /compra.
+ * Listar es libre; agregar/editar/borrar requiere rol admin.
  */
+const TARJETA_USAGE =
+  "📌 Uso:\n" +
+  "/tarjeta listar\n" +
+  "/tarjeta agregar <banco> <corte> <límite> <offset>\n" +
+  "/tarjeta agregar <banco> directo\n" +
+  "/tarjeta editar <banco> corte=<n> limite=<n> offset=<0|1> tipo=<CREDITO|DIRECTO>\n" +
+  "/tarjeta editar <banco> ajustecorte=<regla> ajustelimite=<regla> feriados=<MM-DD,...>\n" +
+  "/tarjeta editar <banco> alias=<ALIAS1,ALIAS2> terminacion=<1234,5678>\n" +
+  "/tarjeta editar <banco> credito=<línea de crédito>\n" +
+  "/tarjeta editar <banco> msi=<3,6,12> cashback=<%> tasa=<% anual>\n" +
+  "/tarjeta editar <banco> residuo=<PRIMERA|ULTIMA>\n" +
+  "/tarjeta borrar <banco>\n\n" +
+  "<regla>: NINGUNO | SIGUIENTE | ANTERIOR (día hábil)\n\n" +
+  "🧾 Ejemplo:\n/tarjeta agregar AMEX 20 10 1";
 
-function getSheetsClient() {
-  if (!fs.existsSync(GOOGLE_APPLICATION_CREDENTIALS)) {
-    throw new Error(
-      `No existe el archivo de credenciales en: ${GOOGLE_APPLICATION_CREDENTIALS}`
+/**
+ * Campos editables con /tarjeta editar (nombre en el comando -> llave).
+ */
+const CARD_EDIT_FIELDS = {
+  CORTE: "cutDay",
+  LIMITE: "dueDay",
+  OFFSET: "dueOffset",
+  TIPO: "type",
+  AJUSTECORTE: "cutShift",
+  AJUSTELIMITE: "dueShift",
+  FERIADOS: "holidays",
+  ALIAS: "aliases",
+  TERMINACION: "last4",
+  CREDITO: "creditLimit",
+  MSI: "msiTerms",
+  CASHBACK: "cashbackPct",
+  TASA: "annualRate",
+  RESIDUO: "remainder",
+};
+
+/**
+ * Texto de una tarjeta para /tarjeta listar.
+ */
+function describeCard(bank, card) {
+  const aliases =
+    (card.aliases.length ? `\n  Alias: ${card.aliases.join(", ")}` : "") +
+    (card.last4.length ? `\n  Terminaciones: ${card.last4.join(", ")}` : "");
+  if (card.type === "DIRECTO") return `• *${bank}*: DIRECTO (sin corte)` + aliases;
+  return (
+    `• *${bank}*: corte ${card.cutDay}, límite ${card.dueDay}` +
+    (card.dueOffset ? " (mes siguiente)" : " (mismo mes)") +
+    `\n  Día inhábil: corte ${card.cutShift}, límite ${card.dueShift}` +
+    (card.holidays.length ? `\n  Feriados propios: ${card.holidays.join(", ")}` : "") +
+    (card.creditLimit ? `\n  Línea de crédito: ${formatMoney(card.creditLimit)}` : "") +
+    (card.msiTerms.length ? `\n  MSI: ${card.msiTerms.join(", ")} meses` : "") +
+    (card.cashbackPct ? `\n  Cashback: ${card.cashbackPct}%` : "") +
+    (card.annualRate !== null ? `\n  Tasa anual: ${card.annualRate}%` : "") +
+    (card.remainder ? `\n  Residuo de centavos: ${card.remainder.toLowerCase()} mensualidad` : "") +
+    aliases
+  );
+}
+
+bot.command("tarjeta", async (ctx) => {
+  try {
+    const args = ctx.message.text
+      .replace(/^\/tarjeta(@\w+)?\s*/i, "")
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const action = (args[0] || "listar").toLowerCase();
+    const bank = (args[1] || "").toUpperCase();
+    const cardRegistry = getCardRegistry();
+
+    if (action === "listar") {
+      const lines = Object.entries(cardRegistry).map(([b, c]) => describeCard(b, c));
+      if (!lines.length) return ctx.reply("ℹ️ No hay tarjetas registradas.");
+      return ctx.replyWithMarkdown(`💳 *Tarjetas registradas*\n\n${lines.join("\n")}`);
+    }
+
+    if (!["agregar", "editar", "borrar"].includes(action)) {
+      return ctx.reply(`❌ Acción desconocida: ${action}\n\n${TARJETA_USAGE}`);
+    }
+
+    if (!isAdmin(ctx)) return ctx.reply("🔒 Solo un admin puede cambiar las tarjetas.");
+
+    if (!/^[A-Z0-9_]+$/.test(bank)) {
+      return ctx.reply(`❌ Indica el banco (letras, números o _).\n\n${TARJETA_USAGE}`);
+    }
+
+    if (action === "borrar") {
+      if (!cardRegistry[bank]) return ctx.reply(`❌ ${bank} no está registrada.`);
+      delete cardRegistry[bank];
+      saveCardRegistry();
+      return ctx.reply(`🗑️ Tarjeta ${bank} eliminada.`);
+    }
+
+    let candidate;
+
+    if (action === "agregar") {
+      if (cardRegistry[bank]) {
+        return ctx.reply(`❌ ${bank} ya existe. Usa /tarjeta editar ${bank} ...`);
+      }
+      candidate =
+        (args[2] || "").toUpperCase() === "DIRECTO"
+          ? { type: "DIRECTO" }
+          : { type: "CREDITO", cutDay: args[2], dueDay: args[3], dueOffset: args[4] };
+    } else {
+      if (!cardRegistry[bank]) return ctx.reply(`❌ ${bank} no está registrada.`);
+      candidate = { ...cardRegistry[bank] };
+
+      const edits = args.slice(2);
+      if (!edits.length) return ctx.reply(`❌ Indica qué cambiar.\n\n${TARJETA_USAGE}`);
+
+      for (const edit of edits) {
+        const [name, value] = edit.split("=");
+        const field = CARD_EDIT_FIELDS[(name || "").toUpperCase()];
+        if (!field || value === undefined) {
+          return ctx.reply(`❌ Campo inválido: ${edit}\n\n${TARJETA_USAGE}`);
+        }
+        candidate[field] = value;
+      }
+    }
+
+    const { card, error } = validateCard(candidate);
+    if (error) return ctx.reply(`❌ ${error}`);
+
+    cardRegistry[bank] = card;
+    saveCardRegistry();
+
+    await ctx.replyWithMarkdown(
+      `✅ Tarjeta ${action === "agregar" ? "agregada" : "actualizada"}\n\n` +
+        describeCard(bank, card)
     );
+  } catch (err) {
+    console.error("Error /tarjeta:", err);
+    ctx.reply("❌ Ocurrió un error actualizando las tarjetas.");
   }
+});
 
-  const auth = new google.auth.GoogleAuth({
-    keyFile: GOOGLE_APPLICATION_CREDENTIALS,
-    scopes: ["https://www.googleapis.com/auth/spreadsheets"],
-  });
+/**
+ * ============================================================
+ * COMANDO: /usuarios (ACCESO, ROLES Y TITULARES) — solo admin
+ * ============================================================
+ *
+ *   /usuarios listar
+ *   /usuarios agregar <id> <admin|member> [titular]
+ *   /usuarios rol <id> <admin|member>
+ *   /usuarios titular <id> <nombre>
+ *   /usuarios borrar <id>
+ *   /usuarios chat permitir|quitar [chatId]   (default: este chat)
+ *
+ * Los cambios se guardan en usuarios.json y aplican de inmediato.
+ */
+const USUARIOS_USAGE =
+  "📌 Uso:\n" +
+  "/usuarios listar\n" +
+  "/usuarios agregar <id> <admin|member> [titular]\n" +
+  "/usuarios rol <id> <admin|member>\n" +
+  "/usuarios titular <id> <nombre>\n" +
+  "/usuarios borrar <id>\n" +
+  "/usuarios chat permitir|quitar [chatId]\n\n" +
+  "🧾 Ejemplo:\n/usuarios agregar 123456789 member Ana";
 
-  return google.sheets({ version: "v4", auth });
+function describeUser(id, user) {
+  return `• ${id}: ${user.role}` + (user.titular ? ` — titular ${user.titular}` : "");
+}
+
+bot.command("usuarios", async (ctx) => {
+  try {
+    const args = ctx.message.text
+      .replace(/^\/usuarios(@\w+)?\s*/i, "")
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const action = (args[0] || "listar").toLowerCase();
+
+    if (action === "listar") {
+      const users = Object.entries(access.users).map(([id, u]) => describeUser(id, u));
+      const admins = [...ADMIN_IDS].map((id) => `• ${id}: admin (ADMIN_IDS)`);
+      const chats = Object.entries(access.chats).map(([id, c]) => `• ${id}: ${c.role}`);
+      return ctx.reply(
+        "👥 Usuarios\n" +
+          ([...admins, ...users].join("\n") || "(ninguno)") +
+          "\n\n💬 Chats autorizados\n" +
+          (chats.join("\n") || "(ninguno)")
+      );
+    }
+
+    if (action === "chat") {
+      const op = (args[1] || "").toLowerCase();
+      const chatId = args[2] || String(ctx.chat.id);
+      if (!/^-?\d+$/.test(chatId)) return ctx.reply(`❌ Chat inválido: ${chatId}`);
+
+      if (op === "permitir") {
+        access.chats[chatId] = { role: "member" };
+        saveAccess();
+        return ctx.reply(`✅ Chat ${chatId} autorizado (member).`);
+      }
+      if (op === "quitar") {
+        if (!access.chats[chatId]) return ctx.reply(`❌ El chat ${chatId} no estaba autorizado.`);
+        delete access.chats[chatId];
+        saveAccess();
+        return ctx.reply(`🗑️ Chat ${chatId} ya no está autorizado.`);
+      }
+      return ctx.reply(`❌ Indica permitir o quitar.\n\n${USUARIOS_USAGE}`);
+    }
+
+    if (!["agregar", "rol", "titular", "borrar"].includes(action)) {
+      return ctx.reply(`❌ Acción desconocida: ${action}\n\n${USUARIOS_USAGE}`);
+    }
+
+    const userId = args[1] || "";
+    if (!/^\d+$/.test(userId)) {
+      return ctx.reply(`❌ Indica el id numérico de Telegram.\n\n${USUARIOS_USAGE}`);
+    }
+
+    if (action === "borrar") {
+      if (!access.users[userId]) return ctx.reply(`❌ ${userId} no está registrado.`);
+      delete access.users[userId];
+      saveAccess();
+      return ctx.reply(`🗑️ Usuario ${userId} eliminado.`);
+    }
+
+    if (action !== "agregar" && !access.users[userId]) {
+      return ctx.reply(`❌ ${userId} no está registrado. Usa /usuarios agregar ...`);
+    }
+
+    const user = { ...(access.users[userId] || {}) };
+
+    if (action === "agregar" || action === "rol") {
+      const role = (args[2] || "").toLowerCase();
+      if (!ROLES.has(role)) return ctx.reply("❌ Rol inválido (usa admin o member).");
+      user.role = role;
+    }
+
+    const titular = args.slice(action === "titular" ? 2 : 3).join(" ");
+    if (action === "titular" && !titular) return ctx.reply("❌ Indica el nombre del titular.");
+    if (titular) user.titular = titular;
+
+    access.users[userId] = user;
+    saveAccess();
+
+    await ctx.reply(`✅ Usuario ${action === "agregar" ? "agregado" : "actualizado"}\n\n${describeUser(userId, user)}`);
+  } catch (err) {
+    console.error("Error /usuarios:", err);
+    ctx.reply("❌ Ocurrió un error actualizando los usuarios.");
+  }
+});
+
+/**
+ * ============================================================
+ * COMANDO: /config (HOJA, TARJETAS Y ZONA DEL CHAT) — solo admin
+ * ============================================================
+ *
+ *   /config                                  => configuración efectiva
+ *   /config hoja=<spreadsheetId> pestana=<tab>
+ *   /config tarjetas=<registro> zona=<America/Mexico_City>
+ *   /config hoja=-                           => vuelve al default
+ *   /config borrar                           => todo al default
+ *
+ * Antes de guardar una hoja/pestaña nueva se verifica que el bot pueda
+ * leerla (la hoja debe estar compartida con el service account).
+ */
+const CONFIG_USAGE =
+  "📌 Uso:\n" +
+  "/config\n" +
+  "/config hoja=<spreadsheetId> pestana=<pestaña>\n" +
+  "/config tarjetas=<registro> zona=<zona IANA>\n" +
+  "/config <campo>=-   (vuelve al default)\n" +
+  "/config borrar\n\n" +
+  "🧾 Ejemplo:\n/config tarjetas=negocio zona=America/Monterrey";
+
+/**
+ * Campos de /config (nombre en el comando -> llave en chats.json).
+ */
+const CHAT_CONFIG_FIELDS = {
+  HOJA: "spreadsheetId",
+  PESTANA: "sheetName",
+  "PESTAÑA": "sheetName",
+  TARJETAS: "cards",
+  ZONA: "timezone",
+};
+
+/**
+ * Valida/normaliza un valor de /config. Regresa { value } o { error }.
+ */
+function validateChatConfigValue(field, value) {
+  if (field === "spreadsheetId" && !/^[A-Za-z0-9_-]{20,}$/.test(value)) {
+    return { error: `Id de hoja inválido: ${value}` };
+  }
+  if (field === "cards") {
+    const name = value.toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(name)) return { error: `Registro inválido: ${value}` };
+    return { value: name };
+  }
+  if (field === "timezone" && !isValidTimezone(value)) {
+    return { error: `Zona horaria desconocida: ${value} (ej. America/Mexico_City)` };
+  }
+  return { value };
+}
+
+function describeChatSettings(chatId) {
+  const own = chatConfigs[String(chatId)] || {};
+  const cfg = getChatSettings(chatId);
+  const tag = (field) => (own[field] ? "" : " (default)");
+
+  return (
+    `⚙️ Configuración de este chat (${chatId})\n\n` +
+    `📄 Hoja: ${cfg.spreadsheetId || "— sin configurar —"}${tag("spreadsheetId")}\n` +
+    `📑 Pestaña: ${cfg.sheetName}${tag("sheetName")}\n` +
+    `💳 Tarjetas: ${cfg.cards}${tag("cards")} ` +
+    `(${Object.keys(getCardRegistry(cfg.cards)).length} registradas)\n` +
+    `🕒 Zona horaria: ${cfg.timezone}${tag("timezone")}`
+  );
+}
+
+bot.command("config", async (ctx) => {
+  try {
+    const chatId = String(ctx.chat.id);
+    const args = ctx.message.text
+      .replace(/^\/config(@\w+)?\s*/i, "")
+      .split(/\s+/)
+      .filter(Boolean);
+
+    if (!args.length) return ctx.reply(describeChatSettings(chatId));
+
+    if (args[0].toLowerCase() === "borrar") {
+      delete chatConfigs[chatId];
+      saveChatConfigs();
+      return ctx.reply(`🗑️ Configuración eliminada.\n\n${describeChatSettings(chatId)}`);
+    }
+
+    const candidate = { ...(chatConfigs[chatId] || {}) };
+
+    for (const arg of args) {
+      const [name, value] = arg.split("=");
+      const field = CHAT_CONFIG_FIELDS[(name || "").toUpperCase()];
+      if (!field || !value) {
+        return ctx.reply(`❌ Campo inválido: ${arg}\n\n${CONFIG_USAGE}`);
+      }
+
+      if (value === "-") {
+        delete candidate[field];
+        continue;
+      }
+
+      const result = validateChatConfigValue(field, value);
+      if (result.error) return ctx.reply(`❌ ${result.error}`);
+      candidate[field] = result.value;
+    }
+
+    // Hoja o pestaña nueva: verificar acceso antes de guardar
+    const current = getChatSettings(chatId);
+    const spreadsheetId = candidate.spreadsheetId || SPREADSHEET_ID;
+    const sheetName = candidate.sheetName || SHEET_NAME;
+    if (
+      STORAGE !== "local" &&
+      spreadsheetId &&
+      (spreadsheetId !== current.spreadsheetId || sheetName !== current.sheetName)
+    ) {
+      try {
+        await ensureSheets().spreadsheets.values.get({
+          spreadsheetId,
+          range: `${sheetName}!A1:${LAST_COLUMN}1`,
+        });
+      } catch (e) {
+        return ctx.reply(
+          `❌ No pude leer ${sheetName} en esa hoja: ${e.message}\n\n` +
+            "Verifica el id, el nombre de la pestaña y que la hoja esté compartida con el service account."
+        );
+      }
+    }
+
+    if (Object.keys(candidate).length) chatConfigs[chatId] = candidate;
+    else delete chatConfigs[chatId];
+    saveChatConfigs();
+
+    await ctx.reply(`✅ Configuración actualizada.\n\n${describeChatSettings(chatId)}`);
+  } catch (err) {
+    console.error("Error /config:", err);
+    ctx.reply("❌ Ocurrió un error actualizando la configuración.");
+  }
+});
+
+
+/**
+ * ============================================================
+ * AVISOS BANCARIOS (SMS / CORREO) → PREVIEW DE COMPRA
+ * ============================================================
+ *
+ * Reenviar o pegar el texto de una notificación del banco, por ejemplo:
+ *   "Compra aprobada por $1,234.00 en AMAZON con tu tarjeta BBVA terminación 1234"
+ *
+ * El bot extrae monto, comercio (descripción) y tarjeta, y entra al
+ * mismo flujo de confirmación que /compra con meses = 1.
+ *
+ * Cómo se decide el banco:
+ * 1) La terminación (last4) registrada en /tarjeta
+ * 2) El banco de la plantilla que reconoció el texto
+ * 3) Un nombre/alias de banco mencionado en el texto
+ *
+ * Solo cuentan avisos de compra (compra, compraste, cargo, consumo):
+ * pagos a la tarjeta, abonos, transferencias y depósitos se ignoran para
+ * no registrarlos como compra nueva.
+ *
+ * También se puede usar explícito: /aviso <texto del aviso>
+ */
+
+// Monto tipo "$1,234.00", "$ 1234", "1,234.00 MXN"
+const NOTIF_AMOUNT = String.raw`\$\s?(?<amount>\d{1,3}(?:,\d{3})*(?:\.\d{1,2})?|\d+(?:\.\d{1,2})?)`;
+
+// Movimientos que no son compra (ver arriba); "Mercado Pago" es un banco
+const NOTIF_NOT_PURCHASE =
+  /\b(?:(?<!mercado\s)pago|abono|transferencia|transferiste|dep[oó]sito|retiro)s?\b/i;
+
+// Terminación: "terminación 1234", "terminada en 1234", "*1234", "**** 1234"
+const NOTIF_LAST4 = String.raw`(?:terminaci[oó]n|terminada en|con terminaci[oó]n|\*+\s?)\s*(?<last4>\d{4})`;
+
+/**
+ * Plantillas por banco (la primera que coincida gana).
+ * Cada regex debe traer los grupos "amount" y "merchant"; la terminación
+ * se busca aparte en todo el texto.
+ * bank=null => genérica, el banco se decide por terminación o nombre.
+ */
+const NOTIFICATION_TEMPLATES = [
+  {
+    bank: "BBVA",
+    pattern: new RegExp(
+      String.raw`BBVA.*?compra.*?${NOTIF_AMOUNT}.*?\ben\s+(?<merchant>.+?)\s+con\b`,
+      "i"
+    ),
+  },
+  {
+    bank: "BANAMEX",
+    pattern: new RegExp(
+      String.raw`Banamex.*?cargo por\s*${NOTIF_AMOUNT}.*?\ben\s+(?<merchant>.+?)\s+con\b`,
+      "i"
+    ),
+  },
+  {
+    bank: "NU",
+    pattern: new RegExp(
+      String.raw`compraste\s*${NOTIF_AMOUNT}.*?\ben\s+(?<merchant>.+?)\s+con tu tarjeta Nu\b`,
+      "i"
+    ),
+  },
+  {
+    bank: "HSBC",
+    pattern: new RegExp(
+      String.raw`HSBC.*?compra por\s*${NOTIF_AMOUNT}(?:\s*MXN)?\s+en\s+(?<merchant>.+?)\s+con\b`,
+      "i"
+    ),
+  },
+  {
+    bank: "RAPPICARD",
+    pattern: new RegExp(
+      String.raw`Rappi\s?Card.*?${NOTIF_AMOUNT}.*?\ben\s+(?<merchant>[^.]+?)(?:\.|$)`,
+      "i"
+    ),
+  },
+  {
+    bank: "MERCADOPAGO",
+    pattern: new RegExp(
+      String.raw`pagaste\s*${NOTIF_AMOUNT}\s+a\s+(?<merchant>.+?)\s+con tu tarjeta de cr[eé]dito Mercado Pago`,
+      "i"
+    ),
+  },
+  {
+    // Genérica: "... (compra|cargo|consumo) ... $monto ... en COMERCIO con/./terminación ..."
+    bank: null,
+    pattern: new RegExp(
+      String.raw`\b(?:compra|compraste|cargo|consumo).*?${NOTIF_AMOUNT}(?:\s*MXN)?.*?\ben\s+(?<merchant>.+?)(?:\s+con\b|\s*[.,]|\s+${NOTIF_LAST4}|$)`,
+      "i"
+    ),
+  },
+];
+
+/**
+ * Busca la tarjeta registrada con esa terminación.
+ */
+function findBankByLast4(last4) {
+  if (!last4) return null;
+  const match = Object.entries(getCardRegistry()).find(([, card]) =>
+    (card.last4 || []).includes(last4)
+  );
+  return match ? match[0] : null;
+}
+
+/**
+ * Extrae { amount, description, bank, last4 } de un aviso bancario.
+ * bank puede ser null si no se logró identificar. Regresa null si el
+ * texto no parece un aviso de compra.
+ */
+function parseBankNotification(text) {
+  const clean = String(text || "").replace(/\s+/g, " ").trim();
+  if (NOTIF_NOT_PURCHASE.test(clean)) return null;
+
+  for (const template of NOTIFICATION_TEMPLATES) {
+    const m = clean.match(template.pattern);
+    if (!m || !m.groups) continue;
+
+    const amount = Number(m.groups.amount.replace(/,/g, ""));
+    const description = (m.groups.merchant || "").trim().replace(/[.,;:]+$/, "");
+    if (!Number.isFinite(amount) || amount <= 0 || !description) continue;
+
+    const last4Match = clean.match(new RegExp(NOTIF_LAST4, "i"));
+    const last4 = last4Match ? last4Match.groups.last4 : null;
+
+    let bank = findBankByLast4(last4);
+    if (!bank && template.bank && getCardRegistry()[template.bank]) bank = template.bank;
+    if (!bank) {
+      const index = getBankNameIndex();
+      const word = clean.toUpperCase().split(/[^A-Z0-9_]+/).find((w) => index.has(w));
+      bank = word ? index.get(word) : null;
+    }
+
+    return { amount, description, bank, last4 };
+  }
+
+  return null;
+}
+
+/**
+ * Convierte un aviso en preview de compra (o explica qué faltó).
+ * Regresa false si el texto no parece aviso.
+ */
+async function handleBankNotification(ctx, text) {
+  const notif = parseBankNotification(text);
+  if (!notif) return false;
+
+  if (!notif.bank) {
+    await ctx.reply(
+      `🤔 Detecté una compra de ${formatMoney(notif.amount)} en ${notif.description}, ` +
+        "pero no sé con qué tarjeta.\n\n" +
+        (notif.last4
+          ? `Registra la terminación: /tarjeta editar <banco> terminacion=${notif.last4}`
+          : "Regístrala con /compra indicando el banco.")
+    );
+    return true;
+  }
+
+  await sendPurchasePreview(
+    ctx,
+    {
+      date: formatDateDMY(),
+      amount: notif.amount,
+      months: 1,
+      bank: notif.bank,
+      description: notif.description,
+      user: getTitular(ctx),
+    },
+    "Compra detectada en aviso"
+  );
+  return true;
+}
+
+bot.command("aviso", async (ctx) => {
+  try {
+    const text = ctx.message.text.replace(/^\/aviso(@\w+)?\s*/i, "");
+    if (!(await handleBankNotification(ctx, text))) {
+      await ctx.reply(
+        "❌ No reconocí el aviso.\n\n🧾 Ejemplo:\n" +
+          "/aviso Compra aprobada por $1,234.00 en AMAZON con tu tarjeta BBVA terminación 1234"
+      );
+    }
+  } catch (err) {
+    console.error("Error /aviso:", err);
+    ctx.reply("❌ Ocurrió un error leyendo el aviso.");
+  }
+});
+
+/**
+ * Texto libre (pegado o reenviado): si parece aviso bancario se procesa.
+ * Cualquier otra cosa sigue de largo (next) sin responder.
+ */
+bot.on("text", async (ctx, next) => {
+  const text = ctx.message.text || "";
+  if (text.startsWith("/")) return next();
+
+  try {
+    if (await handleBankNotification(ctx, text)) return;
+  } catch (err) {
+    console.error("Error leyendo aviso:", err);
+    return ctx.reply("❌ Ocurrió un error leyendo el aviso.");
+  }
+
+  return next();
+});
+
+
+/**
+ * ============================================================
+ * RECORDATORIOS DE CORTE Y FECHA LÍMITE
+ * ============================================================
+ *
+ * Un scheduler dentro del bot revisa periódicamente las tarjetas
+ * de CREDITO y envía a cada chat suscrito:
+ * - N días antes de la fecha límite: monto proyectado a pagar
+ * - El día de corte: resumen del estado que acaba de cerrar
+ *
+ * Suscripción por chat con /recordatorios:
+ *   /recordatorios             => muestra la configuración
+ *   /recordatorios on | off
+ *   /recordatorios dias 5,2,1  => días de anticipación para el límite
+ *
+ * La configuración y el registro de avisos enviados viven en
+ * recordatorios.json (DATA_DIR), así no se duplican ni se pierden
+ * con un reinicio. Cada chat usa su propia hoja, tarjetas y zona
+ * horaria (/config); REMINDER_HOUR es la hora local del chat.
+ */
+const REMINDERS_FILE =
+  process.env.REMINDERS_FILE || path.join(DATA_DIR, "recordatorios.json");
+
+// Hora local (0-23) a partir de la cual se envían los avisos del día
+const REMINDER_HOUR = Number(process.env.REMINDER_HOUR ?? 9);
+
+// Cada cuánto revisa el scheduler (default 15 minutos)
+const REMINDER_CHECK_MS = Number(process.env.REMINDER_CHECK_MS) || 15 * 60 * 1000;
+
+// Anticipación por omisión para chats nuevos
+const DEFAULT_LEAD_DAYS = parseLeadDays(process.env.REMINDER_LEAD_DAYS || "3,1") || [3, 1];
+
+// Los avisos enviados se guardan 60 días (solo para no repetirlos)
+const SENT_RETENTION_MS = 60 * 24 * 60 * 60 * 1000;
+
+/**
+ * "5,2,1" => [5, 2, 1]. Regresa null si algún valor no es 0-31.
+ */
+function parseLeadDays(text) {
+  const days = String(text)
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean)
+    .map(Number);
+
+  if (!days.length || days.some((d) => !Number.isInteger(d) || d < 0 || d > 31)) {
+    return null;
+  }
+  return [...new Set(days)].sort((a, b) => b - a);
+}
+
+const reminders = readJsonFile(REMINDERS_FILE, { chats: {}, sent: {} });
+
+function saveReminders() {
+  writeJsonFile(REMINDERS_FILE, reminders);
+}
+
+bot.command("recordatorios", async (ctx) => {
+  try {
+    const args = ctx.message.text
+      .replace(/^\/recordatorios(@\w+)?\s*/i, "")
+      .split(/\s+/)
+      .filter(Boolean);
+
+    const chatId = String(ctx.chat.id);
+    const current = reminders.chats[chatId] || { enabled: false, leadDays: DEFAULT_LEAD_DAYS };
+    const action = (args[0] || "").toLowerCase();
+
+    if (action === "on" || action === "off") {
+      reminders.chats[chatId] = { ...current, enabled: action === "on" };
+      saveReminders();
+    } else if (action === "dias") {
+      const leadDays = parseLeadDays(args.slice(1).join(""));
+      if (!leadDays) return ctx.reply("❌ Días inválidos. Ejemplo: /recordatorios dias 5,2,1");
+      reminders.chats[chatId] = { ...current, leadDays };
+      saveReminders();
+    } else if (action) {
+      return ctx.reply(
+        "📌 Uso:\n/recordatorios on | off\n/recordatorios dias 5,2,1"
+      );
+    }
+
+    const cfg = reminders.chats[chatId] || current;
+    await ctx.reply(
+      `🔔 Recordatorios: ${cfg.enabled ? "activados" : "desactivados"}\n` +
+        `⏰ Aviso de pago: ${cfg.leadDays.join(", ")} día(s) antes del límite\n` +
+        `📌 Resumen: el día de corte de cada tarjeta\n` +
+        `🕘 Se envían a partir de las ${REMINDER_HOUR}:00`
+    );
+  } catch (err) {
+    console.error("Error /recordatorios:", err);
+    ctx.reply("❌ Ocurrió un error guardando los recordatorios.");
+  }
+});
+
+/**
+ * Eventos de HOY para un banco y una lista de anticipaciones:
+ * [{ type: "CUT" | "DUE", period, cutDate, dueDate, daysLeft }]
+ *
+ * Se revisan los ciclos de varios meses porque la fecha límite de un
+ * corte pasado puede seguir pendiente.
+ */
+function getReminderEvents(bank, today, leadDays) {
+  const cfg = getCardCycle(bank);
+  if (!cfg) return [];
+
+  const t = normalizeToDay(today);
+  const events = [];
+
+  for (let i = -2; i <= 1; i++) {
+    const cycle = getCycleForMonth(addMonths(buildDateYMDay(t, 1), i), cfg);
+
+    if (cycle.cutDate.getTime() === t.getTime()) {
+      events.push({ type: "CUT", daysLeft: 0, ...cycle });
+    }
+
+    const daysLeft = Math.round((cycle.dueDate - t) / (1000 * 60 * 60 * 24));
+    if (leadDays.includes(daysLeft)) {
+      events.push({ type: "DUE", daysLeft, ...cycle });
+    }
+  }
+
+  return events;
+}
+
+/**
+ * Texto de un recordatorio ya con el estado proyectado.
+ */
+function formatReminder(bank, event, statement) {
+  if (event.type === "CUT") {
+    return (
+      `📌 *Hoy corta ${bank}*\n\n` +
+      `💰 Estado ${event.period} (proyectado): *${formatMoney(statement.total)}*\n` +
+      `🧾 Compras con mensualidad: ${statement.items.length}\n` +
+      `💳 Límite de pago: *${formatDateDMY(event.dueDate)}*`
+    );
+  }
+
+  const when = event.daysLeft === 0 ? "*HOY*" : `en *${event.daysLeft} día(s)*`;
+  return (
+    `⏰ *Recordatorio de pago ${bank}*\n\n` +
+    `💳 Límite: *${formatDateDMY(event.dueDate)}* (${when})\n` +
+    `💰 A pagar (proyectado): *${formatMoney(statement.total)}*\n` +
+    `📌 Corte: ${formatDateDMY(event.cutDate)}`
+  );
 }
 
-let sheets = null;
-try {
-  sheets = getSheetsClient();
-  console.log("✅ Google Sheets client listo");
-} catch (e) {
-  console.error("❌ No se pudo inicializar Google Sheets:", e.message);
+/**
+ * Avisos pendientes de hoy para un chat. Corre dentro de withChat(chatId):
+ * hoja, tarjetas y zona horaria son las de ese chat.
+ */
+async function sendChatReminders(chatId, chatCfg, now) {
+  const local = nowInTimezone(currentSettings().timezone, now);
+  if (local.getHours() < REMINDER_HOUR) return;
+
+  const today = normalizeToDay(local);
+  const todayKey = toISODate(today);
+  let purchases = null; // se lee la hoja solo si hay algo que enviar
+
+  for (const bank of listCycleBanks()) {
+    for (const event of getReminderEvents(bank, today, chatCfg.leadDays)) {
+      const sentKey = `${chatId}:${bank}:${event.type}:${event.period}:${todayKey}`;
+      if (reminders.sent[sentKey]) continue;
+
+      if (!purchases) purchases = await ledger.list();
+      const statement = projectStatement(bank, event.period, purchases);
+
+      await bot.telegram.sendMessage(chatId, formatReminder(bank, event, statement), {
+        parse_mode: "Markdown",
+      });
+
+      reminders.sent[sentKey] = Date.now();
+      saveReminders();
+    }
+  }
 }
 
 /**
- * Guarda una compra en Google Sheets respetando el orden A:K.
- * Se centraliza aquí para que confirm_purchase y confirm_purchase_ok
- * no dupliquen código.
+ * Una pasada del scheduler: envía los avisos de hoy que falten.
+ * Un chat con error (ej. sin hoja) no frena a los demás.
  */
-async function savePurchaseToSheets(purchase) {
-  if (!sheets) throw new Error("Google Sheets no está listo.");
-
-  const values = [[
-    purchase.description, // A
-    purchase.user,        // B
-    purchase.date,        // C
-    "ACTIVA",             // D
-    purchase.amount,      // E
-    "",                   // F (fórmulas)
-    purchase.months,      // G
-    purchase.bank,        // H
-    "",                   // I (fórmulas)
-    "",                   // J (fórmulas)
-    "",                   // K (fórmulas)
-  ]];
+async function runReminderTick(now = new Date()) {
+  const chats = Object.entries(reminders.chats).filter(([, c]) => c.enabled);
 
-  await sheets.spreadsheets.values.append({
-    spreadsheetId: SPREADSHEET_ID,
-    range: `${SHEET_NAME}!A:K`,
-    valueInputOption: "USER_ENTERED",
-    insertDataOption: "INSERT_ROWS",
-    requestBody: { values },
-  });
+  for (const [chatId, chatCfg] of chats) {
+    try {
+      await withChat(chatId, () => sendChatReminders(chatId, chatCfg, now));
+    } catch (err) {
+      console.error(`Error enviando recordatorios a ${chatId}:`, err.message);
+    }
+  }
+
+  // Limpieza de avisos viejos
+  const cutoff = Date.now() - SENT_RETENTION_MS;
+  let purged = 0;
+  for (const [k, ts] of Object.entries(reminders.sent)) {
+    if (ts < cutoff) {
+      delete reminders.sent[k];
+      purged++;
+    }
+  }
+  if (purged) saveReminders();
 }
 
-/* ============================================================
- * MANEJO DE COMPRAS PENDIENTES (CONFIRMACIÓN)
+setInterval(async () => {
+  try {
+    await runReminderTick();
+  } catch (err) {
+    console.error("Error enviando recordatorios:", err);
+  }
+}, REMINDER_CHECK_MS);
+
+
+/**
+ * ============================================================
+ * CARGOS RECURRENTES Y SUSCRIPCIONES
  * ============================================================
  *
- * Se usa un Map en memoria:
- * key   = `${chatId}:${userId}`
- * value = { data, createdAt, stage }
+ * Netflix, Spotify, gimnasio, seguros... se definen una vez y el bot
+ * los propone (o los guarda solo) el día que toca:
  *
- * stage:
- * - "PREVIEW" => primera pantalla
- * - "WARNED"  => ya se mostró recomendación (2da confirmación)
+ *   /recurrente                      => lista
+ *   /recurrente agregar <monto> <banco> <día> [frecuencia] [auto] <descripción> [categoria=<cat>]
+ *   /recurrente pausar <id>
+ *   /recurrente reanudar <id>
+ *   /recurrente borrar <id>
+ *
+ * frecuencia: mensual (default), bimestral, trimestral, semestral, anual.
+ * Las no mensuales cuentan desde el primer cargo (mes en que se dio de alta,
+ * o el siguiente si ese día ya pasó).
+ *
+ * El scheduler revisa cada RECURRING_CHECK_MS y, a partir de RECURRING_HOUR
+ * (hora local del chat), para cada cargo cuyo día ya llegó:
+ * - sin "auto": manda el preview normal de /compra a quien lo dio de alta
+ *   (vive RECURRING_PREVIEW_TTL_MS, no los 3 minutos de siempre)
+ * - con "auto": lo guarda directo por el outbox y avisa en el chat
+ * Si el bot estuvo apagado ese día, el cargo sale en la siguiente revisión
+ * (uno por cada fecha que se haya pasado, no solo el último).
+ *
+ * Los cargos que todavía no se registran se suman a las proyecciones de
+ * estados de cuenta (/estado, recordatorios, /simular).
+ *
+ * Se guardan en recurrentes.json (DATA_DIR). Pausar/reanudar/borrar lo
+ * puede hacer quien lo creó o un admin.
  */
-const pendingPurchases = new Map();
-const PENDING_TTL_MS = 3 * 60 * 1000; // 3 minutos
+const RECURRING_FILE =
+  process.env.RECURRING_FILE || path.join(DATA_DIR, "recurrentes.json");
 
-/* ============================================================
- * BOT TELEGRAM
- * ============================================================
- */
+// Hora local (0-23) a partir de la cual se procesan los cargos del día
+const RECURRING_HOUR = Number(process.env.RECURRING_HOUR ?? REMINDER_HOUR);
 
-const bot = new Telegraf(BOT_TOKEN);
+// Cada cuánto revisa el scheduler (default 15 minutos)
+const RECURRING_CHECK_MS = Number(process.env.RECURRING_CHECK_MS) || 15 * 60 * 1000;
 
-bot.start((ctx) => {
-  ctx.reply(
-    "🤖 Bot de Compras activo\n\n" +
-      "📌 Sintaxis:\n" +
-      "/compra <monto> <meses> <banco> <descripción>\n\n" +
-      "🧾 Ejemplo:\n" +
-      "/compra 9000 12 rappicard Pantalla Samsung 85\n\n" +
-      "ℹ️ Notas:\n" +
-      "- El banco se guarda en MAYÚSCULAS\n" +
-      "- Los cálculos se hacen en Google Sheets"
-  );
-});
+// Vida del preview de un cargo recurrente (default 24 horas)
+const RECURRING_PREVIEW_TTL_MS =
+  Number(process.env.RECURRING_PREVIEW_TTL_MS) || 24 * 60 * 60 * 1000;
 
-const VERSION = process.env.VERSION || "2026-02-03-01";
-bot.command("version", (ctx) => ctx.reply(`Bot version: ${VERSION}`));
+// Frecuencia => cada cuántos meses
+const RECURRING_FREQUENCIES = {
+  MENSUAL: 1,
+  BIMESTRAL: 2,
+  TRIMESTRAL: 3,
+  SEMESTRAL: 6,
+  ANUAL: 12,
+};
 
-/* ============================================================
- * COMANDO /compra → PREVIEW + CONFIRMACIÓN
- * ============================================================
- *
- * Aquí solo se prepara la compra y se solicita confirmación.
- * No se guarda nada todavía.
+const RECURRENTE_USAGE =
+  "📌 Uso:\n" +
+  "/recurrente listar\n" +
+  "/recurrente agregar <monto> <banco> <día> [frecuencia] [auto] <descripción> [categoria=<cat>]\n" +
+  "/recurrente pausar <id>\n" +
+  "/recurrente reanudar <id>\n" +
+  "/recurrente borrar <id>\n\n" +
+  `Frecuencias: ${Object.keys(RECURRING_FREQUENCIES).join(", ").toLowerCase()}\n` +
+  "auto = se guarda sin pedir confirmación\n\n" +
+  "🧾 Ejemplo:\n/recurrente agregar 299 bbva 15 Netflix categoria=entretenimiento";
+
+/**
+ * { nextId, items: { "<id>": { chatId, userId, user, description, amount,
+ *   bank, day, frequency, startMonth, auto, paused, category, lastRun } } }
  *
- * Mejora: se incluye (si aplica) un cálculo de "días para pagar"
- * estimado para la tarjeta elegida.
+ * lastRun = último día (YYYY-MM-DD) hasta el que ya se procesaron cargos.
  */
-bot.hears(/^\/compra(\@\w+)?\s+/i, async (ctx) => {
-  try {
-    const parsed = parseCompraCommand(ctx.message.text);
-
-    if (!parsed) {
-      return ctx.reply(
-        "❌ Formato inválido.\n\n" +
-          "📌 Sintaxis:\n/compra <monto> <meses> <banco> <descripción>\n\n" +
-          "🧾 Ejemplo:\n/compra 9000 12 rappicard Pantalla Samsung 85"
-      );
-    }
+const recurring = readJsonFile(RECURRING_FILE, { nextId: 1, items: {} });
 
-    const chatId = ctx.chat.id;
-    const userId = ctx.from.id;
-    const key = `${chatId}:${userId}`;
+function saveRecurring() {
+  writeJsonFile(RECURRING_FILE, recurring);
+}
 
-    const purchaseData = {
-      date: formatDateDMY(),
-      amount: parsed.amount,
-      months: parsed.months,
-      bank: parsed.bank.toUpperCase(),
-      description: parsed.description,
-      user: ctx.from.first_name || "Usuario",
-    };
+/**
+ * Fecha del cargo en el mes de monthDate, o null si ese mes no toca
+ * (frecuencia). El día se ajusta al último del mes (31 => 30/28...).
+ */
+function getRecurringDate(item, monthDate) {
+  const [year, month] = item.startMonth.split("-").map(Number);
+  const offset = monthDate.getFullYear() * 12 + monthDate.getMonth() - (year * 12 + month - 1);
+  if (offset < 0 || offset % RECURRING_FREQUENCIES[item.frequency] !== 0) return null;
+  return buildDateYMDay(monthDate, item.day);
+}
 
-    // Guardamos pendiente (sobrescribe si había otra)
-    pendingPurchases.set(key, {
-      data: purchaseData,
-      createdAt: Date.now(),
-      stage: "PREVIEW",
-    });
+/**
+ * Fechas de cargo entre from y to (inclusive).
+ */
+function listRecurringDates(item, from, to) {
+  const dates = [];
+  for (let m = buildDateYMDay(from, 1); m <= to; m = addMonths(m, 1)) {
+    const date = getRecurringDate(item, m);
+    if (date && date >= from && date <= to) dates.push(date);
+  }
+  return dates;
+}
 
-    // Si no está en skip y tenemos ciclo configurado, calculamos ventana de pago
-    const windowInfo =
-      !SKIP_CUT_VALIDATION.has(purchaseData.bank)
-        ? getPaymentWindow(purchaseData.bank, new Date())
-        : null;
-
-    const financeLine = windowInfo
-      ? `\n\n⏳ Tiempo para pagar (estimado): *${windowInfo.daysToPay} días*\n` +
-        `📌 Corte: *${windowInfo.cutDate.toLocaleDateString("es-MX")}*\n` +
-        `💳 Límite: *${windowInfo.dueDate.toLocaleDateString("es-MX")}*`
-      : "";
-
-    const preview =
-      `🧾 *Confirmar compra*\n\n` +
-      `📌 *${purchaseData.description}*\n` +
-      `💰 Monto: *$${purchaseData.amount}*\n` +
-      `🗓️ Meses: *${purchaseData.months}*\n` +
-      `🏦 Banco: *${purchaseData.bank}*\n` +
-      `👤 Titular: *${purchaseData.user}*\n` +
-      `📅 F. compra: *${purchaseData.date}*` +
-      financeLine;
+/**
+ * Primer día que todavía no se procesa para un cargo.
+ */
+function getRecurringFrom(item) {
+  const from = fromISODate(item.lastRun) || normalizeToDay();
+  from.setDate(from.getDate() + 1);
+  return from;
+}
 
-    await ctx.replyWithMarkdown(
-      preview,
-      Markup.inlineKeyboard([
-        Markup.button.callback("✅ Confirmar", "confirm_purchase"),
-        Markup.button.callback("❌ Cancelar", "cancel_purchase"),
-      ])
-    );
-  } catch (err) {
-    console.error("Error /compra:", err);
-    ctx.reply("❌ Ocurrió un error preparando la compra.");
-  }
-});
+/**
+ * Próximo cargo pendiente (o null si no hay en el próximo año).
+ */
+function getNextRecurringDate(item) {
+  const from = getRecurringFrom(item);
+  return listRecurringDates(item, from, addMonths(from, 13))[0] || null;
+}
 
-/* ============================================================
- * CONFIRMAR COMPRA
- * ============================================================
- *
- * Aquí se decide:
- * - Guardar directo
- * - o mostrar recomendación (2da confirmación)
- *
- * Reglas:
- * 1) CAPITAL/PRESTAMO -> guardar directo
- * 2) Si banco no tiene ciclo configurado -> guardar directo
- * 3) Si existe una alternativa >= IMPROVEMENT_THRESHOLD_DAYS mejor:
- *    -> advertencia y 2da confirmación ("OK Guardar")
+/**
+ * Cargos recurrentes del chat actual que caerían en el estado de cuenta
+ * period de bank y que aún no se registran. Mismo formato que los items
+ * de projectStatement.
  */
-bot.action("confirm_purchase", async (ctx) => {
-  try {
-    const chatId = ctx.chat.id;
-    const userId = ctx.from.id;
-    const key = `${chatId}:${userId}`;
+function getRecurringStatementItems(bank, period, cfg) {
+  const chatId = String(currentSettings().chatId);
+  const monthDate = new Date(Number(period.slice(0, 4)), Number(period.slice(5)) - 1, 1);
+  const { cutDate } = getCycleForMonth(monthDate, cfg);
 
-    const pending = pendingPurchases.get(key);
-    if (!pending) {
-      await ctx.answerCbQuery("No hay una compra pendiente.");
-      return;
-    }
+  const items = [];
+  for (const item of Object.values(recurring.items)) {
+    if (item.paused || item.bank !== bank || String(item.chatId) !== chatId) continue;
 
-    if (Date.now() - pending.createdAt > PENDING_TTL_MS) {
-      pendingPurchases.delete(key);
-      await ctx.editMessageText("⏱️ Esta confirmación expiró.");
-      await ctx.answerCbQuery();
-      return;
+    for (const date of listRecurringDates(item, getRecurringFrom(item), cutDate)) {
+      if (getNextCycle(date, cfg).period !== period) continue;
+      items.push({
+        purchase: { description: `🔁 ${item.description}`, date: formatDateDMY(date), recurring: true },
+        n: 1,
+        months: 1,
+        amount: item.amount,
+      });
     }
+  }
+  return items;
+}
 
-    const purchase = pending.data;
+function describeRecurring(id, item) {
+  const next = item.paused ? null : getNextRecurringDate(item);
+  return (
+    `• #${id} ${item.description} — ${formatMoney(item.amount)} · ${item.bank} · ` +
+    `día ${item.day} · ${item.frequency.toLowerCase()}` +
+    (item.auto ? " · auto" : "") +
+    (item.category ? ` · ${item.category}` : "") +
+    (item.paused ? "\n  ⏸️ Pausado" : next ? `\n  Próximo: ${formatDateDMY(next)}` : "")
+  );
+}
 
-    // 1) Bancos sin validación financiera -> guarda directo
-    if (SKIP_CUT_VALIDATION.has(purchase.bank)) {
-      await savePurchaseToSheets(purchase);
-      pendingPurchases.delete(key);
-      await ctx.editMessageText("✅ Compra guardada exitosamente.");
-      await ctx.answerCbQuery();
-      return;
+/**
+ * Interpreta "agregar <monto> <banco> <día> [frecuencia] [auto] <descripción>
+ * [categoria=<cat>]" => { item } o { error }.
+ */
+function parseRecurringArgs(args) {
+  const rest = [];
+  let category = null;
+  for (const token of args) {
+    const m = token.match(/^(?:categoria|categoría|cat)=(\S+)$/i);
+    if (!m) {
+      rest.push(token);
+      continue;
     }
+    category = resolveCategory(m[1]);
+    if (!category) return { error: `No reconozco la categoría "${m[1]}".` };
+  }
 
-    // 2) Calculamos ventana de pago para tarjeta elegida
-    const chosen = getPaymentWindow(purchase.bank, new Date());
+  const amount = parseAmountToken(rest[0] || "");
+  if (!amount) return { error: "Monto inválido." };
 
-    // Si el banco no está configurado en CARD_CYCLE, guardamos normal
-    if (!chosen) {
-      await savePurchaseToSheets(purchase);
-      pendingPurchases.delete(key);
-      await ctx.editMessageText("✅ Compra guardada exitosamente.");
-      await ctx.answerCbQuery();
-      return;
-    }
+  const { bank, suggestions } = resolveBank(rest[1] || "");
+  if (!bank) {
+    return {
+      error:
+        `No reconozco el banco "${rest[1] || ""}".` +
+        (suggestions && suggestions.length ? ` ¿Quisiste decir ${suggestions.join(" o ")}?` : ""),
+    };
+  }
 
-    // 3) Ranking de tarjetas (excluimos la elegida)
-    const ranking = rankCardsByDaysToPay(new Date(), [purchase.bank]);
-    const bestAlt = ranking[0]; // mejor alternativa disponible
+  const day = Number(rest[2]);
+  if (!Number.isInteger(day) || day < 1 || day > 31) {
+    return { error: "El día debe ser un entero entre 1 y 31." };
+  }
 
-    /**
-     * Disparador de advertencia:
-     * Si existe alternativa y te da >= X días extra, advertimos.
-     * Importante:
-     * - Solo advertimos 1 vez por compra (stage !== "WARNED")
-     */
-    const shouldWarn =
-      bestAlt &&
-      bestAlt.daysToPay >= chosen.daysToPay + IMPROVEMENT_THRESHOLD_DAYS &&
-      pending.stage !== "WARNED";
+  let frequency = "MENSUAL";
+  let auto = false;
+  let i = 3;
+  for (; i < rest.length; i++) {
+    const word = normalizeText(rest[i]);
+    if (RECURRING_FREQUENCIES[word]) frequency = word;
+    else if (word === "AUTO") auto = true;
+    else break;
+  }
 
-    if (shouldWarn) {
-      pending.stage = "WARNED";
-      pendingPurchases.set(key, pending);
+  const description = rest.slice(i).join(" ");
+  if (!description) return { error: "Falta la descripción." };
 
-      // Top 3 recomendaciones (o menos si no hay suficientes)
-      const top3 = ranking.slice(0, 3)
-        .map((x) =>
-          `• ${x.bank}: ${x.daysToPay} días (límite ${x.dueDate.toLocaleDateString("es-MX")})`
-        )
-        .join("\n");
+  return { item: { amount: amount.value, bank, day, frequency, auto, description, category } };
+}
 
-      const msg =
-        `⚠️ *Recomendación de tarjeta*\n\n` +
-        `Con *${purchase.bank}* tendrías aprox. *${chosen.daysToPay} días* para pagar.\n` +
-        `📌 Corte: *${chosen.cutDate.toLocaleDateString("es-MX")}*\n` +
-        `💳 Límite: *${chosen.dueDate.toLocaleDateString("es-MX")}*\n\n` +
-        `Para tener *más tiempo*, hoy te conviene usar:\n` +
-        `${top3}\n\n` +
-        `Si aún así deseas guardarla con *${purchase.bank}*, presiona *OK Guardar*.`;
+bot.command("recurrente", async (ctx) => {
+  try {
+    const args = ctx.message.text
+      .replace(/^\/recurrente(@\w+)?\s*/i, "")
+      .split(/\s+/)
+      .filter(Boolean);
 
-      await ctx.editMessageText(msg, {
-        parse_mode: "Markdown",
-        ...Markup.inlineKeyboard([
-          Markup.button.callback("✅ OK Guardar", "confirm_purchase_ok"),
-          Markup.button.callback("❌ Cancelar", "cancel_purchase"),
-        ]),
-      });
+    const action = (args[0] || "listar").toLowerCase();
+    const chatId = String(ctx.chat.id);
 
-      await ctx.answerCbQuery();
-      return;
+    if (action === "listar") {
+      const lines = Object.entries(recurring.items)
+        .filter(([, item]) => String(item.chatId) === chatId)
+        .map(([id, item]) => describeRecurring(id, item));
+      if (!lines.length) {
+        return ctx.reply(`ℹ️ No hay cargos recurrentes en este chat.\n\n${RECURRENTE_USAGE}`);
+      }
+      return ctx.reply(`🔁 Cargos recurrentes\n\n${lines.join("\n")}`);
     }
 
-    // Si no hay alternativa significativamente mejor -> guardado directo
-    await savePurchaseToSheets(purchase);
-    pendingPurchases.delete(key);
-    await ctx.editMessageText("✅ Compra guardada exitosamente.");
-    await ctx.answerCbQuery();
-  } catch (err) {
-    console.error("Error confirm_purchase:", err);
-    try { await ctx.editMessageText("❌ Error al guardar la compra."); } catch {}
-    try { await ctx.answerCbQuery(); } catch {}
-  }
-});
+    if (action === "agregar") {
+      const { item, error } = parseRecurringArgs(args.slice(1));
+      if (error) return ctx.reply(`❌ ${error}\n\n${RECURRENTE_USAGE}`);
 
-/**
- * Segunda confirmación:
- * Solo se usa cuando ya se mostró la recomendación (stage WARNED).
- * Aquí ya se guarda definitivamente.
- */
-bot.action("confirm_purchase_ok", async (ctx) => {
-  try {
-    const chatId = ctx.chat.id;
-    const userId = ctx.from.id;
-    const key = `${chatId}:${userId}`;
+      // Primer cargo: este mes si el día aún no pasa, si no el siguiente
+      const today = normalizeToDay();
+      const thisMonth = buildDateYMDay(today, item.day);
+      const startMonth = toISODate(thisMonth >= today ? thisMonth : addMonths(thisMonth, 1)).slice(0, 7);
 
-    const pending = pendingPurchases.get(key);
-    if (!pending) {
-      await ctx.answerCbQuery("No hay una compra pendiente.");
-      return;
+      // lastRun = ayer, así un cargo con día de hoy sale hoy mismo
+      const yesterday = new Date(today);
+      yesterday.setDate(yesterday.getDate() - 1);
+
+      const id = String(recurring.nextId++);
+      recurring.items[id] = {
+        ...item,
+        chatId: ctx.chat.id,
+        userId: ctx.from.id,
+        user: getTitular(ctx),
+        startMonth,
+        paused: false,
+        lastRun: toISODate(yesterday),
+      };
+      saveRecurring();
+
+      return ctx.reply(`✅ Cargo recurrente agregado\n\n${describeRecurring(id, recurring.items[id])}`);
     }
 
-    if (Date.now() - pending.createdAt > PENDING_TTL_MS) {
-      pendingPurchases.delete(key);
-      await ctx.editMessageText("⏱️ Esta confirmación expiró.");
-      await ctx.answerCbQuery();
-      return;
+    if (!["pausar", "reanudar", "borrar"].includes(action)) {
+      return ctx.reply(`❌ Acción desconocida: ${action}\n\n${RECURRENTE_USAGE}`);
     }
 
-    const purchase = pending.data;
+    const id = (args[1] || "").replace(/^#/, "");
+    const item = recurring.items[id];
+    if (!item || String(item.chatId) !== chatId) {
+      return ctx.reply(`❌ No existe el cargo recurrente #${id} en este chat.`);
+    }
+    if (item.userId !== ctx.from.id && !isAdmin(ctx)) {
+      return ctx.reply("🔒 Solo quien lo creó o un admin puede cambiarlo.");
+    }
 
-    await savePurchaseToSheets(purchase);
-    pendingPurchases.delete(key);
+    if (action === "borrar") {
+      delete recurring.items[id];
+      saveRecurring();
+      return ctx.reply(`🗑️ Cargo recurrente #${id} eliminado.`);
+    }
 
-    await ctx.editMessageText("✅ Compra guardada exitosamente.");
-    await ctx.answerCbQuery();
+    item.paused = action === "pausar";
+    if (!item.paused) {
+      // Al reanudar no se cobran los cargos que pasaron en pausa
+      const yesterday = normalizeToDay();
+      yesterday.setDate(yesterday.getDate() - 1);
+      item.lastRun = toISODate(yesterday);
+    }
+    saveRecurring();
+
+    await ctx.reply(
+      `${item.paused ? "⏸️ Pausado" : "▶️ Reanudado"}\n\n${describeRecurring(id, item)}`
+    );
   } catch (err) {
-    console.error("Error confirm_purchase_ok:", err);
-    try { await ctx.editMessageText("❌ Error al guardar la compra."); } catch {}
-    try { await ctx.answerCbQuery(); } catch {}
+    console.error("Error /recurrente:", err);
+    ctx.reply("❌ Ocurrió un error con los cargos recurrentes.");
   }
 });
 
-/* ============================================================
- * CANCELAR COMPRA
- * ============================================================
+/**
+ * "ctx" mínimo para mandar un preview fuera de un update (scheduler):
+ * el chat destino y el usuario que debe confirmarlo.
  */
+function createChatTarget(chatId, userId) {
+  return {
+    chat: { id: chatId },
+    from: { id: userId },
+    replyWithMarkdown: (text, extra) =>
+      bot.telegram.sendMessage(chatId, text, { parse_mode: "Markdown", ...extra }),
+  };
+}
 
-bot.action("cancel_purchase", async (ctx) => {
-  const key = `${ctx.chat.id}:${ctx.from.id}`;
-  pendingPurchases.delete(key);
-  await ctx.editMessageText("❌ Compra cancelada.");
-  await ctx.answerCbQuery();
-});
-
-/* ============================================================
- * LIMPIEZA AUTOMÁTICA DE PENDIENTES EXPIRADOS
- * ============================================================
+/**
+ * Procesa los cargos pendientes (si hay) de un recurrente, del más viejo
+ * al más reciente. Corre dentro de withChat(item.chatId).
  */
+async function runRecurringItem(id, item, now) {
+  const local = nowInTimezone(currentSettings().timezone, now);
+  if (local.getHours() < RECURRING_HOUR) return;
+
+  const today = normalizeToDay(local);
+  const dates = listRecurringDates(item, getRecurringFrom(item), today);
+  if (!dates.length) return;
 
-setInterval(() => {
-  const now = Date.now();
-  for (const [k, v] of pendingPurchases.entries()) {
-    if (now - v.createdAt > PENDING_TTL_MS) {
-      pendingPurchases.delete(k);
+  // Se marca antes de mandar nada: un error no debe repetir el cargo
+  item.lastRun = toISODate(today);
+  saveRecurring();
+
+  for (const date of dates) {
+    try {
+      await runRecurringCharge(id, item, date);
+    } catch (err) {
+      console.error(`Error con el cargo recurrente #${id} del ${formatDateDMY(date)}:`, err.message);
     }
   }
-}, 30 * 1000);
-
+}
 
 /**
- * ============================================================
- * NUEVO COMANDO: /dias
- * ============================================================
- *
- * Objetivo:
- * - Mostrar cuántos días (estimados) tendrías para pagar si usaras
- *   HOY cada tarjeta configurada en CARD_CYCLE.
- *
- * Salida:
- * - Lista ordenada de MAYOR a MENOR (más días para pagar primero)
- * - Muestra:
- *    • BANCO: X días
- *      Corte: DD/MM/YYYY
- *      Límite: DD/MM/YYYY
- *
- * Notas:
- * - CAPITAL / PRESTAMO no aplican aquí porque no forman parte de CARD_CYCLE
- * - Usa el cálculo de getPaymentWindow() + rankCardsByDaysToPay()
+ * Un cargo de un recurrente en una fecha: preview o, con "auto", directo
+ * al outbox.
  */
-bot.command("dias", async (ctx) => {
-  try {
-    const today = new Date();
+async function runRecurringCharge(id, item, date) {
+  const purchase = {
+    date: formatDateDMY(date),
+    amount: item.amount,
+    months: 1,
+    bank: item.bank,
+    description: item.description,
+    user: item.user,
+    category: item.category,
+    tags: [],
+  };
 
-    // Ranking: mejor primero (más días para pagar)
-    const ranking = rankCardsByDaysToPay(today);
+  // Sin "auto" se confirma como cualquier /compra (ahí se sugiere la categoría)
+  if (!item.auto) {
+    await sendPurchasePreview(
+      createChatTarget(item.chatId, item.userId),
+      purchase,
+      `Cargo recurrente #${id}`,
+      { ttlMs: RECURRING_PREVIEW_TTL_MS }
+    );
+    return;
+  }
 
-    if (!ranking.length) {
-      return ctx.reply("❌ No hay tarjetas configuradas para calcular días.");
-    }
+  // id fijo por cargo y fecha: el outbox no lo duplica aunque se repita
+  const key = `rec${id}_${toISODate(date).replace(/-/g, "")}`;
+  const written = await submitPurchase(
+    key,
+    { ...purchase, category: item.category || suggestCategory(item.description) },
+    item.chatId,
+    item.userId
+  );
 
-    // Construimos mensaje en formato legible (Markdown)
-    const lines = ranking.map((x) => {
-      const cut = x.cutDate.toLocaleDateString("es-MX");
-      const due = x.dueDate.toLocaleDateString("es-MX");
-      return (
-        `• *${x.bank}*: *${x.daysToPay} días*\n` +
-        `  📌 Corte: ${cut}\n` +
-        `  💳 Límite: ${due}`
-      );
-    });
+  const status = written
+    ? "registrado"
+    : outbox.queue[key]?.blocked
+      ? "en cola (bloqueado: revisar columnas)"
+      : "en cola (se reintenta)";
+  await bot.telegram.sendMessage(
+    item.chatId,
+    `🔁 Cargo recurrente #${id} ${status}\n\n` +
+      `📌 ${item.description} — ${formatMoney(item.amount)} · ${item.bank} · ${purchase.date}`
+  );
+}
 
-    const msg =
-      `📅 *Días para pagar si usas la tarjeta HOY*\n` +
-      `(ordenado por mayor tiempo)\n\n` +
-      lines.join("\n\n");
+async function runRecurringTick(now = new Date()) {
+  for (const [id, item] of Object.entries(recurring.items)) {
+    if (item.paused) continue;
+    try {
+      await withChat(item.chatId, () => runRecurringItem(id, item, now));
+    } catch (err) {
+      console.error(`Error con el cargo recurrente #${id}:`, err.message);
+    }
+  }
+}
 
-    await ctx.replyWithMarkdown(msg);
+setInterval(async () => {
+  try {
+    await runRecurringTick();
   } catch (err) {
-    console.error("Error /dias:", err);
-    ctx.reply("❌ Ocurrió un error calculando los días.");
+    console.error("Error procesando cargos recurrentes:", err);
   }
-});
+}, RECURRING_CHECK_MS);
 
 
 /* ============================================================
@@ -756,6 +6176,17 @@ bot.command("dias", async (ctx) => {
  * ============================================================
  */
 
+// Revisión de columnas de la hoja default (las de otros chats se revisan al escribir)
+if (STORAGE !== "local" && SPREADSHEET_ID) {
+  checkSheetSchema(true)
+    .then(({ ok, problems }) =>
+      ok
+        ? console.log("✅ Columnas de la hoja OK")
+        : console.error(`❌ Columnas de la hoja no coinciden:\n${problems.join("\n")}`)
+    )
+    .catch((e) => console.error("❌ No se pudo revisar la hoja:", e.message));
+}
+
 bot.launch()
   .then(() => console.log("🚀 Bot iniciado correctamente"))
   .catch((err) => console.error("❌ Error iniciando bot:", err));